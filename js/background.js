@@ -8,6 +8,7 @@
  */
 
 import * as logging from './logging.js';
+import {csvQuote} from './util.js';
 
 const homepageUrl = 'https://github.com/vapier/chrome-ext-goat-meet-manager';
 const issuesUrl = `${homepageUrl}/issues`;
@@ -18,6 +19,99 @@ let autofocus;
 /** @type {string} Action button behavior. */
 let actionButtonBehavior;
 
+/**
+ * @type {!Array<!Object>} Meetings saved before the service worker restarted.
+ *     These are consumed as the meeting pages reconnect.
+ */
+let savedMeetings = [];
+
+/** @type {boolean} User pref for confirming before leaving meetings. */
+let confirmLeave;
+
+/** @type {boolean} User pref for push-to-talk. */
+let pttEnabled;
+
+/** @type {boolean} User pref for push-to-talk from all pages. */
+let pttGlobal;
+
+/** @type {boolean} User pref for notifying when talking while muted. */
+let talkingNotify;
+
+/** @type {boolean} User pref for notifying about chat messages. */
+let chatNotify;
+
+/** @type {boolean} User pref for showing unread chat in the badge. */
+let chatBadge;
+
+/** @type {string} User pref for state notifications: '', audio, video, both. */
+let stateNotify;
+
+/** @type {string} User pref for which changes notify: '', mute, unmute. */
+let stateNotifyOn;
+
+/** @type {number} User pref for turning off video after N minutes. */
+let autoVideoOffAfter;
+
+/** @type {string} User pref for when meetings should end (HH:MM). */
+let autoEndAt;
+
+/** @type {number} User pref for how many minutes before the end to remind. */
+let autoRemindBefore;
+
+/** @type {string} User pref for when to leave meetings (HH:MM). */
+let autoLeaveAt;
+
+/** @type {string} User pref for muting when away: '', 'idle', or 'locked'. */
+let idleMute;
+
+/** @type {boolean} User pref for also turning off video when away. */
+let idleMuteVideo;
+
+/** @type {boolean} User pref for restoring meetings when the user returns. */
+let idleRestore;
+
+/** @type {number} User pref for how many minutes until the user is idle. */
+let idleDelay;
+
+/** @type {!Array<string>} Extensions allowed to use the external API. */
+let externalAllowlist = [];
+
+/**
+ * @type {string} User pref for which meetings to act on: '', recent-focus,
+ *     recent-join, window, or all.
+ */
+let targetPolicy;
+
+/** @type {?number} The browser window the user most recently focused. */
+let lastWindowId = null;
+
+/** @type {string} User pref for the icon theme: '', light, dark, etc... */
+let iconTheme;
+
+/** @type {boolean} User pref for drawing default/not-joined overlays. */
+let iconOverlays;
+
+/** @type {string} User pref for the badge text: '', muted, video, or none. */
+let badgeText;
+
+/** @type {!Object<string, string>} User names for meetings by their code. */
+let meetingAliases = {};
+
+/** @type {boolean} User pref for talking to a native messaging host. */
+let nativeEnabled;
+
+/** @type {boolean} User pref for muting when other tabs play audio. */
+let audibleMute;
+
+/** @type {boolean} User pref for unmuting when other tabs stop playing. */
+let audibleUnmute;
+
+/** @type {string} Whether the audible sites are an 'allow' or 'deny' list. */
+let audibleSitesMode;
+
+/** @type {!Array<string>} User pref for sites to (not) mute for. */
+let audibleSites = [];
+
 /**
  * Container for all the meetings we're tracking.
  *
@@ -30,6 +124,11 @@ class Meetings {
     this.nextId = 0;
     /** @const {!Map<number, !Meeting>} All the meetings we track. */
     this.meetings = new Map();
+    /**
+     * @type {!Set<number>} Tabs of the meetings unmuted by push-to-talk.  We
+     *     track tabs as the key might be released after a restart.
+     */
+    this.pttTabs = new Set();
   }
 
   /**
@@ -47,6 +146,7 @@ class Meetings {
   add(meeting) {
     meeting.id = this.nextId++;
     this.meetings.set(meeting.id, meeting);
+    this.persist();
     badge.update();
   }
 
@@ -57,9 +157,24 @@ class Meetings {
    */
   remove(meeting) {
     this.meetings.delete(meeting.id);
+    this.persist();
     badge.update();
   }
 
+  /**
+   * Save the meetings for when the service worker restarts.
+   *
+   * Chrome unloads us when idle, and while the meeting pages will reconnect &
+   * resend their live state, things only we know (like the user's default
+   * meeting) would be lost.  Session storage is cleared when Chrome exits.
+   */
+  persist() {
+    const saved = [];
+    this.meetings.forEach((meeting) => saved.push(meeting.save()));
+    // Keep the meetings that haven't reconnected yet too.
+    chrome.storage.session.set({meetings: saved.concat(savedMeetings)});
+  }
+
   /**
    * Get a meeting by a specific id (the internal counter).
    *
@@ -105,9 +220,26 @@ class Meetings {
         meeting.prefer = false;
       }
     });
+    this.persist();
     badge.update();
   }
 
+  /**
+   * Find a meeting by its tab id alone.
+   *
+   * @param {number} tabId The tab to look up.
+   * @return {!Meeting|undefined} The meeting if one exists.
+   */
+  getByTab(tabId) {
+    let ret;
+    this.meetings.forEach((meeting) => {
+      if (meeting.port.sender.tab.id === tabId) {
+        ret = meeting;
+      }
+    });
+    return ret;
+  }
+
   /**
    * Find a meeting associated with a specific tab.
    *
@@ -126,35 +258,81 @@ class Meetings {
   }
 
   /**
-   * Iterate over the meetings based on our algorithm.
+   * Pick the meetings to act on based on the user's targeting policy.
    *
-   * If a meeting has been marked default, then only process that one.
-   * If no meetings are active (been joined), then process all meetings.
-   * Else, process all active meetings.
-   *
-   * For the first meeting processed, honor the user's autofocus pref.
+   * Unless the policy is to process all meetings, a meeting marked default
+   * always wins.  Otherwise the candidates are the active (joined) meetings,
+   * or all meetings if none are active, & the policy picks from those:
+   * - default: All the candidates.
+   * - recent-focus: The one the user most recently switched to.
+   * - recent-join: The one the user most recently joined.
+   * - window: The ones in the current window (else all candidates).
    *
    * @private
-   * @param {function(!Meeting)} callback
+   * @return {!Array<!Meeting>} The meetings to process.
    */
-  processMeetings_(callback) {
+  targets_() {
+    const all = Array.from(this.meetings.values());
+    if (targetPolicy === 'all') {
+      return all;
+    }
+
     const prefer = this.default;
     if (prefer) {
-      prefer.autofocus();
-      callback(prefer);
-      return;
+      return [prefer];
     }
 
-    const numActive = this.numActive;
-    let focused = false;
-    this.meetings.forEach((meeting) => {
-      if (numActive === 0 || meeting.active) {
-        if (focused === false) {
-          focused = true;
-          meeting.autofocus();
-        }
-        callback(meeting);
+    const active = all.filter((meeting) => meeting.active);
+    const candidates = active.length ? active : all;
+    const latest = (key) =>
+      candidates.reduce(
+        (ret, meeting) =>
+          ret.length === 0 || meeting[key] > ret[0][key] ? [meeting] : ret,
+        [],
+      );
+
+    switch (targetPolicy) {
+      default:
+        logging.warn(`Unknown targeting policy '${targetPolicy}'`);
+
+      case undefined:
+      case '':
+        return candidates;
+
+      case 'recent-focus':
+        return latest('lastFocused');
+
+      case 'recent-join':
+        return latest('joinTime');
+
+      case 'window': {
+        const inWindow = candidates.filter(
+          (meeting) => meeting.windowId === lastWindowId,
+        );
+        return inWindow.length ? inWindow : candidates;
+      }
+    }
+  }
+
+  /**
+   * Iterate over the meetings based on the user's targeting policy.
+   *
+   * For the first meeting processed, honor the user's autofocus pref.
+   *
+   * @private
+   * @param {function(!Meeting)} callback
+   * @param {boolean=} focus Whether to honor the autofocus pref.
+   * @param {boolean=} all Whether to ignore the policy & process all meetings.
+   */
+  processMeetings_(callback, focus = true, all = false) {
+    let focused = !focus;
+    const targets = all ? Array.from(this.meetings.values()) : this.targets_();
+    targets.forEach((meeting) => {
+      if (focused === false) {
+        focused = true;
+        meeting.autofocus();
       }
+      callback(meeting);
     });
   }
 
@@ -171,18 +349,77 @@ class Meetings {
    * Mute mic/cam settings across meetings.
    *
    * @param {!Object} data Which settings to change.
+   * @param {boolean=} focus Whether to honor the autofocus pref.
+   * @param {boolean=} all Whether to mute all meetings.
    */
-  mute(data = {audio: true}) {
-    this.processMeetings_((meeting) => meeting.mute(data));
+  mute(data = {audio: true}, focus = true, all = false) {
+    this.processMeetings_((meeting) => meeting.mute(data), focus, all);
   }
 
   /**
    * Unmute mic/cam settings across meetings.
    *
    * @param {!Object} data Which settings to change.
+   * @param {boolean=} focus Whether to honor the autofocus pref.
+   * @param {boolean=} all Whether to unmute all meetings.
    */
-  unmute(data = {audio: true}) {
-    this.processMeetings_((meeting) => meeting.unmute(data));
+  unmute(data = {audio: true}, focus = true, all = false) {
+    this.processMeetings_((meeting) => meeting.unmute(data), focus, all);
+  }
+
+  /**
+   * Handle the push-to-talk key.
+   *
+   * While held, unmute the meetings that are muted.  On release, only mute the
+   * meetings we unmuted so we don't clobber ones the user left live.  We never
+   * autofocus here as that would steal the key release from the current tab.
+   *
+   * @param {boolean} pressed Whether the key is held down.
+   */
+  pushToTalk(pressed) {
+    if (pressed) {
+      this.pttTabs.clear();
+      this.processMeetings_((meeting) => {
+        if (meeting.audioMuted) {
+          this.pttTabs.add(meeting.port.sender.tab.id);
+          meeting.unmute({audio: true});
+        }
+      }, false);
+    } else {
+      this.pttTabs.forEach((tabId) =>
+        this.getByTab(tabId)?.mute({audio: true}),
+      );
+      this.pttTabs.clear();
+    }
+    chrome.storage.session.set({pttTabs: Array.from(this.pttTabs)});
+  }
+
+  /**
+   * Raise the hand in meetings.
+   */
+  raiseHand() {
+    this.processMeetings_((meeting) => meeting.raiseHand());
+  }
+
+  /**
+   * Lower the hand in meetings.
+   */
+  lowerHand() {
+    this.processMeetings_((meeting) => meeting.lowerHand());
+  }
+
+  /**
+   * Leave (hang up) a meeting.
+   *
+   * Unlike muting, hanging up is hard to undo, so only ever leave the first of
+   * the targeted meetings rather than all of them.
+   */
+  leave() {
+    const [meeting] = this.targets_();
+    if (meeting) {
+      meeting.autofocus();
+      meeting.leave();
+    }
   }
 
   /**
@@ -224,6 +461,17 @@ class Meetings {
     return ret;
   }
 
+  /**
+   * @return {number} How many chat messages are unread across meetings.
+   */
+  get numUnreadChat() {
+    let ret = 0;
+    this.meetings.forEach((meeting) => {
+      ret += meeting.unreadChat;
+    });
+    return ret;
+  }
+
   /**
    * @return {number} How many meetings are active (joined).
    */
@@ -245,6 +493,19 @@ class Meetings {
     return this.countMeetings_('videoMuted');
   }
 
+  /**
+   * Unlike numVideoMuted, this only counts meetings we know are live.
+   *
+   * @return {number} How many meetings have video on.
+   */
+  get numVideoOn() {
+    let ret = 0;
+    this.meetings.forEach((meeting) => {
+      ret += meeting.videoMuted === false ? 1 : 0;
+    });
+    return ret;
+  }
+
   /**
    * @return {!Symbol} The high level state for the badge.
    */
@@ -256,402 +517,2697 @@ class Meetings {
     return this.numAudioMuted === this.size ? Meetings.MUTED : Meetings.UNMUTED;
   }
 
+  /**
+   * @return {!Symbol} The high level camera state for the badge.
+   */
+  get videoState() {
+    return this.numVideoOn > 0 ? Meetings.VIDEO_ON : Meetings.VIDEO_OFF;
+  }
+
   /**
    * @return {!Symbol} The high level summary text for the badge.
    */
   get summary() {
     const size = this.size;
     const numAudioMuted = this.numAudioMuted;
-    const numVideoMuted = this.numVideoMuted;
+    const numVideoOn = this.numVideoOn;
+    let ret;
     if (size === 0) {
       return 'No meetings found. Please reload Google Meet pages to connect.';
     } else if (size === numAudioMuted) {
-      return `All meetings are muted.`;
+      ret = `All meetings are muted.`;
     } else if (numAudioMuted === 0) {
-      return `No meetings are muted.`;
+      ret = `No meetings are muted.`;
     } else {
-      return `${size} active meetings; ${numAudioMuted} are muted.`;
+      ret = `${size} active meetings; ${numAudioMuted} are muted.`;
+    }
+    if (numVideoOn > 0) {
+      ret += `\nCamera is on in ${numVideoOn} meetings.`;
+    }
+    if (size > 1) {
+      this.meetings.forEach((meeting) => {
+        const mic = meeting.audioMuted ? 'muted' : 'live';
+        ret += `\n• ${meeting.displayName}: ${mic}`;
+      });
     }
+    return ret;
   }
 }
 
 Meetings.INACTIVE = Symbol('inactive');
 Meetings.MUTED = Symbol('muted');
 Meetings.UNMUTED = Symbol('unmuted');
+Meetings.VIDEO_OFF = Symbol('video-off');
+Meetings.VIDEO_ON = Symbol('video-on');
 
 /**
- * Container for a single meeting.
+ * Helper to format a duration as a timestamp.
+ *
+ * @param {number} msec The duration in milliseconds.
+ * @return {string} The timestamp as HH:MM:SS.mmm.
  */
-class Meeting {
-  constructor(port) {
-    this.id = null;
-    this.title = null;
-    this.port = port;
-    this.active = false;
-    this.prefer = false;
-    this.audioMuted = null;
-    this.videoMuted = null;
-  }
-
-  bind() {
-    meetings.add(this);
+function formatTimestamp(msec) {
+  return new Date(Math.max(0, msec)).toISOString().substr(11, 12);
+}
 
-    this.port.onDisconnect.addListener(this.disconnect.bind(this));
-    this.port.onMessage.addListener(this.recv.bind(this));
-  }
+/**
+ * Helper to escape text for WebVTT cues.
+ *
+ * Escaping the angle brackets also takes care of any "-->" in the text.  Line
+ * breaks are collapsed as a blank line would end the cue early.
+ *
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ */
+function escapeVtt(text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s*[\r\n]+\s*/g, ' ');
+}
 
-  disconnect() {
-    logging.debug('disconnect', this.port);
-    meetings.remove(this);
+/**
+ * Container for the captions captured from a meeting.
+ *
+ * These outlive the meeting itself so the user can download them afterwards,
+ * but we only keep the most recent few.  They're saved to session storage so
+ * they survive the service worker restarting.
+ */
+class Transcript {
+  /**
+   * @param {!Meeting} meeting The meeting being captured.
+   */
+  constructor(meeting) {
+    this.id = Transcript.nextId++;
+    this.name = meeting.port.name;
+    this.title = meeting.displayName;
+    this.start = Date.now();
+    /** @const {!Map<number, !Object>} The caption lines by their page id. */
+    this.lines = new Map();
+
+    transcripts.set(this.id, this);
+    for (const id of transcripts.keys()) {
+      if (transcripts.size <= Transcript.MAX) {
+        break;
+      }
+      transcripts.delete(id);
+    }
+    persistTranscripts();
   }
 
-  toggle(data = {audio: true}) {
-    this.send('toggle', data);
+  /**
+   * Recreate a transcript saved before the service worker restarted.
+   *
+   * @param {!Object} saved The state from save().
+   * @return {!Transcript} The restored transcript.
+   */
+  static restore(saved) {
+    const transcript = Object.create(Transcript.prototype);
+    Object.assign(transcript, saved, {lines: new Map(saved.lines)});
+    transcripts.set(transcript.id, transcript);
+    Transcript.nextId = Math.max(Transcript.nextId, transcript.id + 1);
+    return transcript;
   }
 
-  mute(data = {audio: true}) {
-    this.send('mute', data);
+  /**
+   * @return {!Object} The state to save across service worker restarts.
+   */
+  save() {
+    return {
+      id: this.id,
+      name: this.name,
+      title: this.title,
+      start: this.start,
+      lines: Array.from(this.lines),
+    };
   }
 
-  unmute(data = {audio: true}) {
-    this.send('unmute', data);
+  /**
+   * Add or update a line of captions.
+   *
+   * @param {!Object} param The caption line from the page.
+   */
+  update({id, speaker, text, time}) {
+    const line = this.lines.get(id);
+    if (line) {
+      line.speaker = speaker;
+      line.text = text;
+      line.end = Date.now();
+    } else {
+      this.lines.set(id, {speaker, text, start: time, end: Date.now()});
+    }
+    persistTranscripts();
   }
 
   /**
-   * Focus the active meeting if the user prefs want it.
+   * @return {string} The transcript as plain text.
    */
-  autofocus() {
-    if (autofocus) {
-      this.focus();
-    }
+  toText() {
+    const ret = [`${this.title}`, `${new Date(this.start)}`, ''];
+    this.lines.forEach(({speaker, text, start}) => {
+      const time = new Date(start).toLocaleTimeString();
+      ret.push(`[${time}] ${speaker}: ${text}`);
+    });
+    return ret.join('\n') + '\n';
   }
 
-  focus() {
-    // NB: We can't rely on the port->sender details as they don't stay in
-    // sync with the actual tab (like the index field).  So query the latest
-    // state here to access it.
-    chrome.tabs.get(this.port.sender.tab.id, (tab) => {
-      chrome.windows.update(tab.windowId, {focused: true});
-      chrome.tabs.highlight({tabs: tab.index, windowId: tab.windowId});
+  /**
+   * @return {string} The transcript as WebVTT.
+   */
+  toVtt() {
+    const ret = ['WEBVTT', ''];
+    let cue = 1;
+    this.lines.forEach(({speaker, text, start, end}) => {
+      ret.push(
+        `${cue++}`,
+        `${formatTimestamp(start - this.start)} --> ` +
+          `${formatTimestamp(end - this.start)}`,
+        speaker
+          ? `<v ${escapeVtt(speaker)}>${escapeVtt(text)}`
+          : escapeVtt(text),
+        '',
+      );
     });
+    return ret.join('\n');
   }
+}
 
-  send(command, data = {}) {
-    const message = Object.assign({}, data, {command});
-    this.port.postMessage(message);
+/** @const {number} How many transcripts to keep around. */
+Transcript.MAX = 10;
+
+/** @private {number} Unique per-transcript id. */
+Transcript.nextId = 0;
+
+/** @const {!Map<number, !Transcript>} All the transcripts we have. */
+const transcripts = new Map();
+
+/** @const {number} How long to batch up caption changes before saving. */
+const TRANSCRIPT_SAVE_DELAY = 1000;
+
+/** @type {?number} Timer for the pending transcript save. */
+let transcriptSaveTimer = null;
+
+/**
+ * Save the transcripts for when the service worker restarts.
+ *
+ * Captions update constantly while people talk, so batch the writes.
+ */
+function persistTranscripts() {
+  if (transcriptSaveTimer !== null) {
+    return;
   }
+  transcriptSaveTimer = setTimeout(() => {
+    transcriptSaveTimer = null;
+    const saved = [];
+    transcripts.forEach((transcript) => saved.push(transcript.save()));
+    chrome.storage.session.set({transcripts: saved});
+  }, TRANSCRIPT_SAVE_DELAY);
+}
 
+/**
+ * Container for who came & went in a meeting.
+ *
+ * Like transcripts, these outlive the meeting so the user can download them
+ * afterwards, but we only keep the most recent few, and save them to session
+ * storage.
+ */
+class Attendance {
   /**
-   * Invoked when a message came across the port.
-   *
-   * @see https://developer.chrome.com/extensions/runtime/#event-onMessage
-   * @param {!Object} message
-   * @private
+   * @param {!Meeting} meeting The meeting being tracked.
    */
-  recv(message) {
-    logging.debug('recv', this.port, message);
-    const {command} = message;
-    const handler = this.commands.get(command);
-    if (handler) {
-      logging.debug(`dispatching to ${command}`, message);
-      handler.call(this, message);
-    } else {
-      logging.warn(`${this.port.name}: unknown command '${command}'`, message);
+  constructor(meeting) {
+    this.id = Attendance.nextId++;
+    this.name = meeting.port.name;
+    this.title = meeting.displayName;
+    this.start = Date.now();
+    /** @const {!Set<string>} Who is currently in the meeting. */
+    this.present = new Set();
+    /** @const {!Array<!Object>} The join/leave events. */
+    this.events = [];
+
+    attendances.set(this.id, this);
+    for (const id of attendances.keys()) {
+      if (attendances.size <= Attendance.MAX) {
+        break;
+      }
+      attendances.delete(id);
     }
+    persistAttendances();
   }
 
   /**
-   * The page wants to log stuff.
+   * Recreate an attendance log saved before the service worker restarted.
    *
-   * @param {string} message The log message
+   * @param {!Object} saved The state from save().
+   * @return {!Attendance} The restored log.
    */
-  message_log(message) {
-    logging.recordLog(message);
+  static restore(saved) {
+    const attendance = Object.create(Attendance.prototype);
+    Object.assign(attendance, saved, {present: new Set(saved.present)});
+    attendances.set(attendance.id, attendance);
+    Attendance.nextId = Math.max(Attendance.nextId, attendance.id + 1);
+    return attendance;
   }
 
   /**
-   * The user has joined the meeting, so it is now active.
+   * @return {!Object} The state to save across service worker restarts.
    */
-  message_joined() {
-    this.active = true;
-    badge.update();
+  save() {
+    return {
+      id: this.id,
+      name: this.name,
+      title: this.title,
+      start: this.start,
+      present: Array.from(this.present),
+      events: this.events,
+    };
   }
 
   /**
-   * Update meeting info we care about.
+   * Record the latest set of people in the meeting.
    *
-   * @param {!Object} param The new mic/cam settings.
+   * @param {!Array<string>} names Everyone in the meeting now.
    */
-  message_update({title, audioMuted, videoMuted}) {
-    if (title) {
-      this.title = title.replace(/^Meet - /, '');
-    }
-
-    const update =
-      this.audioMuted !== audioMuted || this.videoMuted !== videoMuted;
-    this.audioMuted = audioMuted;
-    this.videoMuted = videoMuted;
-    // Debounce updates due to possible duplicate notifications.
-    if (update) {
-      badge.update();
+  update(names) {
+    const time = Date.now();
+    const count = this.events.length;
+    const current = new Set(names);
+    current.forEach((name) => {
+      if (!this.present.has(name)) {
+        this.events.push({time, name, event: 'join'});
+      }
+    });
+    this.present.forEach((name) => {
+      if (!current.has(name)) {
+        this.events.push({time, name, event: 'leave'});
+      }
+    });
+    this.present = current;
+    if (this.events.length !== count) {
+      persistAttendances();
     }
   }
-}
 
-// Build up a map of available messages for easier access later.
-Meeting.prototype.commands = new Map();
-Object.getOwnPropertyNames(Meeting.prototype).forEach((name) => {
-  if (name.startsWith('message_')) {
-    Meeting.prototype.commands.set(name.substr(8), Meeting.prototype[name]);
+  /**
+   * We stopped tracking the meeting, so everyone left as far as we know.
+   */
+  end() {
+    this.update([]);
   }
-});
+
+  /**
+   * @return {string} The attendance log as CSV.
+   */
+  toCsv() {
+    const ret = ['Time,Name,Event'];
+    this.events.forEach(({time, name, event}) => {
+      ret.push(
+        [new Date(time).toISOString(), name, event].map(csvQuote).join(','),
+      );
+    });
+    return ret.join('\n') + '\n';
+  }
+}
+
+/** @const {number} How many attendance logs to keep around. */
+Attendance.MAX = 10;
+
+/** @private {number} Unique per-log id. */
+Attendance.nextId = 0;
+
+/** @const {!Map<number, !Attendance>} All the attendance logs we have. */
+const attendances = new Map();
+
+/**
+ * Save the attendance logs for when the service worker restarts.
+ */
+function persistAttendances() {
+  const saved = [];
+  attendances.forEach((attendance) => saved.push(attendance.save()));
+  chrome.storage.session.set({attendances: saved});
+}
+
+/** @const {number} How many meetings to keep in the history. */
+const HISTORY_MAX = 1000;
+
+/** @type {!Promise} Serialize history updates so they don't clobber. */
+let historyQueue = Promise.resolve();
+
+/**
+ * Add a meeting to the user's history.
+ *
+ * @param {!Object} entry The meeting details.
+ */
+function recordHistory(entry) {
+  historyQueue = historyQueue
+    .then(async () => {
+      const {history} = await chrome.storage.local.get({history: []});
+      history.push(entry);
+      await chrome.storage.local.set({history: history.slice(-HISTORY_MAX)});
+    })
+    // Keep the queue going for later entries.
+    .catch((e) => logging.error('unable to record history', entry, e));
+}
+
+/**
+ * @const {!Map<string, !Object>} What the different kinds of notifications do
+ *     when the user clicks them or their buttons.
+ */
+const notificationKinds = new Map([
+  ['chat', {onClick: (meeting) => meeting.focus()}],
+  ['state', {onClick: (meeting) => meeting.focus()}],
+  [
+    'talking',
+    {
+      onClick: (meeting) => meeting.focus(),
+      buttons: [{title: 'Unmute', onClick: (meeting) => meeting.unmute()}],
+    },
+  ],
+  [
+    'leave',
+    {
+      onClick: (meeting) => meeting.focus(),
+      buttons: [
+        {title: 'Leave', onClick: (meeting) => meeting.leave({confirm: false})},
+      ],
+    },
+  ],
+  [
+    'remind',
+    {
+      onClick: (meeting) => meeting.focus(),
+      buttons: [
+        {
+          title: 'Leave now',
+          onClick: (meeting) => meeting.leave({confirm: false}),
+        },
+      ],
+    },
+  ],
+]);
+
+/**
+ * Show a desktop notification for a meeting.
+ *
+ * The id encodes the kind & the meeting's tab rather than keeping callbacks in
+ * memory, so clicks still work after the service worker restarts (when our
+ * meeting ids change too).  Each meeting has at most one of each kind.
+ *
+ * @param {string} kind The kind of notification (see notificationKinds).
+ * @param {!Meeting} meeting The meeting it's about.
+ * @param {!Object} options The chrome.notifications.create options.
+ */
+function showNotification(kind, meeting, options) {
+  const {buttons = []} = notificationKinds.get(kind);
+  chrome.notifications.create(
+    `${kind}:${meeting.port.sender.tab.id}`,
+    Object.assign(
+      {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('images/icon-128.png'),
+        buttons: buttons.map(({title}) => ({title})),
+      },
+      options,
+    ),
+  );
+}
+
+/**
+ * Look up the handlers & meeting for a notification.
+ *
+ * @param {string} id The notification id.
+ * @return {?Array} The handlers & the meeting, or null if the meeting is gone.
+ */
+function getNotificationTarget(id) {
+  const [kind, tabId] = id.split(':');
+  const handlers = notificationKinds.get(kind);
+  const meeting = meetings.getByTab(parseInt(tabId, 10));
+  if (!handlers || !meeting) {
+    logging.debug(`notification '${id}' for unknown meeting`);
+    return null;
+  }
+  return [handlers, meeting];
+}
+
+/**
+ * Invoked when the user clicks a notification.
+ *
+ * @see https://developer.chrome.com/extensions/notifications#event-onClicked
+ * @param {string} id The notification id.
+ * @private
+ */
+function onNotificationClicked(id) {
+  const target = getNotificationTarget(id);
+  if (target) {
+    const [{onClick}, meeting] = target;
+    onClick(meeting);
+  }
+  chrome.notifications.clear(id);
+}
+
+/**
+ * Invoked when the user clicks a button in a notification.
+ *
+ * @see https://developer.chrome.com/extensions/notifications#event-onButtonClicked
+ * @param {string} id The notification id.
+ * @param {number} index The button clicked.
+ * @private
+ */
+function onNotificationButtonClicked(id, index) {
+  const target = getNotificationTarget(id);
+  if (target) {
+    const [{buttons = []}, meeting] = target;
+    buttons[index]?.onClick(meeting);
+  }
+  chrome.notifications.clear(id);
+}
+
+/**
+ * How long (in msec) to wait for mic/cam changes to settle before notifying.
+ *
+ * @const {number}
+ */
+const STATE_NOTIFY_DELAY = 750;
+
+/**
+ * Get the next time the clock will read the specified time of day.
+ *
+ * @param {string} time The time of day as HH:MM.
+ * @return {?number} The time (in msec since the epoch), or null if invalid.
+ */
+function nextTimeOfDay(time) {
+  const match = `${time}`.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const date = new Date();
+  date.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+  if (date.getTime() < Date.now()) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+/** @const {!Array<string>} The kinds of automation alarms we create. */
+const automationKinds = ['video-off', 'remind', 'leave'];
+
+/**
+ * Clear all the time-based automation for a meeting.
+ *
+ * @param {number} tabId The meeting's tab.
+ */
+function clearAutomation(tabId) {
+  automationKinds.forEach((kind) => chrome.alarms.clear(`${kind}:${tabId}`));
+}
+
+/**
+ * Schedule the time-based automation for a meeting.
+ *
+ * The alarms are keyed by tab rather than meeting id as the alarms survive
+ * service worker restarts while our meeting ids do not.  The per-meeting rule
+ * overrides the global prefs.
+ *
+ * This runs again whenever the page resends its state (e.g. after a restart)
+ * or the prefs change, so skip automation that already fired, and times that
+ * have passed, as Chrome would fire those alarms right away.
+ *
+ * @param {!Meeting} meeting The (joined) meeting.
+ */
+function scheduleAutomation(meeting) {
+  const tabId = meeting.port.sender.tab.id;
+  clearAutomation(tabId);
+
+  const rule = meeting.rule;
+  const videoOffAfter = parseInt(rule.videoOffAfter || autoVideoOffAfter, 10);
+  const endAt = rule.endAt || autoEndAt;
+  const leaveAt = rule.leaveAt || autoLeaveAt;
+  const now = Date.now();
+
+  const schedule = (kind, when) => {
+    if (when !== null && when > now && !meeting.automationFired.has(kind)) {
+      chrome.alarms.create(`${kind}:${tabId}`, {when});
+    }
+  };
+
+  if (videoOffAfter > 0) {
+    schedule('video-off', meeting.joinTime + videoOffAfter * 60 * 1000);
+  }
+
+  const end = nextTimeOfDay(endAt);
+  if (end !== null) {
+    const before = parseInt(autoRemindBefore, 10) || 5;
+    schedule('remind', end - before * 60 * 1000);
+  }
+
+  schedule('leave', nextTimeOfDay(leaveAt));
+}
+
+/**
+ * @const {!Map<number, !Array<string>>} Automation alarms that went off before
+ *     their meeting reconnected after a restart, by tab.
+ */
+const pendingAutomation = new Map();
+
+/**
+ * Invoked when one of our alarms goes off.
+ *
+ * The alarm might be what woke us up, in which case the meeting pages haven't
+ * reconnected yet.  Hold onto those until they do.
+ *
+ * @see https://developer.chrome.com/extensions/alarms#event-onAlarm
+ * @param {!Object} alarm The alarm that fired.
+ * @private
+ */
+function onAlarm(alarm) {
+  logging.debug('onAlarm', alarm);
+  const [kind, id] = alarm.name.split(':');
+  const tabId = parseInt(id, 10);
+  const meeting = meetings.getByTab(tabId);
+  if (meeting) {
+    runAutomation(meeting, kind);
+  } else if (savedMeetings.some((saved) => saved.tabId === tabId)) {
+    logging.debug(`alarm '${alarm.name}' waiting for meeting to reconnect`);
+    const pending = pendingAutomation.get(tabId) ?? [];
+    pending.push(kind);
+    pendingAutomation.set(tabId, pending);
+  } else {
+    logging.debug(`alarm '${alarm.name}' for unknown meeting`);
+  }
+}
+
+/**
+ * Run the automation that went off before the meeting reconnected.
+ *
+ * @param {!Meeting} meeting The (rejoined) meeting.
+ */
+function runPendingAutomation(meeting) {
+  const tabId = meeting.port.sender.tab.id;
+  const pending = pendingAutomation.get(tabId);
+  if (pending) {
+    pendingAutomation.delete(tabId);
+    pending.forEach((kind) => runAutomation(meeting, kind));
+  }
+}
+
+/**
+ * Run one of the time-based automation steps for a meeting.
+ *
+ * @param {!Meeting} meeting The meeting to act on.
+ * @param {string} kind The automation to run.
+ */
+function runAutomation(meeting, kind) {
+  meeting.automationFired.add(kind);
+  meetings.persist();
+
+  const name = meeting.displayName;
+  switch (kind) {
+    default:
+      logging.error(`${name}: unknown automation '${kind}'`);
+      break;
+
+    case 'video-off':
+      logging.info(`${name}: turning off video after time limit`);
+      meeting.mute({video: true});
+      break;
+
+    case 'remind': {
+      const endAt = meeting.rule.endAt || autoEndAt;
+      logging.info(`${name}: reminding user meeting ends at ${endAt}`);
+      showNotification('remind', meeting, {
+        title: `Meeting ends at ${endAt}`,
+        message: name,
+        priority: 2,
+      });
+      break;
+    }
+
+    case 'leave':
+      logging.info(`${name}: leaving at scheduled time`);
+      meeting.leave({confirm: false});
+      break;
+  }
+}
+
+/**
+ * Reschedule the automation for all joined meetings (e.g. prefs changed).
+ */
+function rescheduleAutomation() {
+  meetings.meetings.forEach((meeting) => {
+    if (meeting.active) {
+      scheduleAutomation(meeting);
+    }
+  });
+}
+
+/**
+ * Container for a single meeting.
+ */
+class Meeting {
+  constructor(port) {
+    this.id = null;
+    this.title = null;
+    this.port = port;
+    this.active = false;
+    this.prefer = false;
+    this.audioMuted = null;
+    this.videoMuted = null;
+    this.handRaised = false;
+    this.locator = null;
+    this.captions = false;
+    this.transcript = null;
+    this.participants = null;
+    this.attendance = null;
+    this.joinTime = null;
+    this.unreadChat = 0;
+    this.lastChat = null;
+    /** @type {string} Per-meeting autofocus rule: 'on', 'off', or ''. */
+    this.autofocusRule = '';
+    /** @type {!Object} The per-meeting rule the page matched. */
+    this.rule = {};
+    /** @type {?Object} Which settings were live before the user went away. */
+    this.awaySnapshot = null;
+    /** @type {!Set<string>} The automation alarms that already went off. */
+    this.automationFired = new Set();
+    /** @type {number} The window the meeting tab is in. */
+    this.windowId = port.sender.tab.windowId;
+    /** @type {number} When the user last switched to the meeting. */
+    this.lastFocused = port.sender.tab.active ? Date.now() : 0;
+    /** @type {?Object} The mic/cam state before a burst of changes. */
+    this.stateBefore_ = null;
+    /** @type {?number} Timer for coalescing state notifications. */
+    this.stateTimer_ = null;
+  }
+
+  /**
+   * @return {string} The meeting code (e.g. abc-defg-hij).
+   */
+  get code() {
+    return this.port.name.replace(/^\//, '');
+  }
+
+  /**
+   * @return {string} The name to show people: their alias, else the title.
+   */
+  get displayName() {
+    return meetingAliases[this.code] || this.title || this.code;
+  }
+
+  bind() {
+    // Listen right away so nothing the page sends is lost, but hold off on
+    // processing until we've loaded the state saved before a restart.
+    ready.then(() => {
+      this.restore();
+      meetings.add(this);
+    });
+
+    this.port.onDisconnect.addListener(whenReady(this.disconnect.bind(this)));
+    this.port.onMessage.addListener(whenReady(this.recv.bind(this)));
+  }
+
+  /**
+   * @return {!Object} The state to keep across service worker restarts.
+   */
+  save() {
+    return {
+      tabId: this.port.sender.tab.id,
+      name: this.port.name,
+      title: this.title,
+      prefer: this.prefer,
+      joinTime: this.joinTime,
+      awaySnapshot: this.awaySnapshot,
+      windowId: this.windowId,
+      lastFocused: this.lastFocused,
+      automationFired: Array.from(this.automationFired),
+      transcript: this.transcript?.id ?? null,
+      attendance: this.attendance?.id ?? null,
+    };
+  }
+
+  /**
+   * Restore state saved before the service worker restarted.
+   */
+  restore() {
+    const tabId = this.port.sender.tab.id;
+    const index = savedMeetings.findIndex(
+      (saved) => saved.tabId === tabId && saved.name === this.port.name,
+    );
+    if (index === -1) {
+      return;
+    }
+
+    const [saved] = savedMeetings.splice(index, 1);
+    logging.debug('restoring meeting', saved);
+    this.title = saved.title;
+    this.prefer = saved.prefer;
+    this.joinTime = saved.joinTime;
+    this.awaySnapshot = saved.awaySnapshot ?? null;
+    this.windowId = saved.windowId ?? this.windowId;
+    this.lastFocused = saved.lastFocused ?? this.lastFocused;
+    this.automationFired = new Set(saved.automationFired);
+    this.transcript = transcripts.get(saved.transcript) ?? null;
+    this.attendance = attendances.get(saved.attendance) ?? null;
+  }
+
+  disconnect() {
+    logging.debug('disconnect', this.port);
+    clearAutomation(this.port.sender.tab.id);
+    clearTimeout(this.stateTimer_);
+    if (this.attendance) {
+      this.attendance.end();
+    }
+    if (this.joinTime !== null) {
+      const leave = Date.now();
+      recordHistory({
+        code: this.code,
+        title: this.displayName,
+        join: this.joinTime,
+        leave,
+        duration: leave - this.joinTime,
+      });
+    }
+    meetings.remove(this);
+  }
+
+  toggle(data = {audio: true}) {
+    this.send('toggle', data);
+  }
+
+  mute(data = {audio: true}) {
+    this.send('mute', data);
+  }
+
+  unmute(data = {audio: true}) {
+    this.send('unmute', data);
+  }
+
+  /**
+   * Mute the meeting while the user is away.
+   *
+   * Remember what was live so we can restore it later.  If the user was
+   * already away (e.g. went idle & then locked the screen), keep the original
+   * snapshot rather than the muted state.
+   *
+   * @param {boolean} video Whether to turn off the camera too.
+   */
+  awayMute(video) {
+    if (this.awaySnapshot === null) {
+      this.awaySnapshot = {
+        audio: this.audioMuted === false,
+        video: video && this.videoMuted === false,
+      };
+    }
+    this.mute({audio: true, video});
+  }
+
+  /**
+   * Undo awayMute once the user has returned.
+   *
+   * @param {boolean} unmute Whether to restore the previous settings, or just
+   *     forget about them.
+   */
+  awayRestore(unmute) {
+    const snapshot = this.awaySnapshot;
+    this.awaySnapshot = null;
+    if (unmute && snapshot && (snapshot.audio || snapshot.video)) {
+      this.unmute(snapshot);
+    }
+  }
+
+  raiseHand() {
+    this.send('raise-hand');
+  }
+
+  lowerHand() {
+    this.send('lower-hand');
+  }
+
+  /**
+   * Queue a notification for the current mic/cam change.
+   *
+   * Rapid toggles are coalesced so only the final state is shown.  Must be
+   * called before the new state is saved.
+   *
+   * @private
+   */
+  queueStateNotification_() {
+    if (this.stateBefore_ === null) {
+      this.stateBefore_ = {
+        audioMuted: this.audioMuted,
+        videoMuted: this.videoMuted,
+      };
+    }
+    clearTimeout(this.stateTimer_);
+    this.stateTimer_ = setTimeout(
+      () => this.showStateNotification_(),
+      STATE_NOTIFY_DELAY,
+    );
+  }
+
+  /**
+   * Tell the user how the mic/cam changed once things have settled.
+   *
+   * If the user ended up back where they started, don't bother.
+   *
+   * @private
+   */
+  showStateNotification_() {
+    const before = this.stateBefore_;
+    this.stateBefore_ = null;
+    this.stateTimer_ = null;
+    if (!stateNotify || before === null) {
+      return;
+    }
+
+    const changes = [];
+    const check = (device, name, wasMuted, isMuted) => {
+      if (wasMuted === isMuted || isMuted === null) {
+        return;
+      }
+      if (stateNotify !== 'both' && stateNotify !== device) {
+        return;
+      }
+      if (stateNotifyOn && stateNotifyOn !== (isMuted ? 'mute' : 'unmute')) {
+        return;
+      }
+      changes.push(`${name} ${isMuted ? 'off' : 'on'}`);
+    };
+    check('audio', 'Microphone', before.audioMuted, this.audioMuted);
+    check('video', 'Camera', before.videoMuted, this.videoMuted);
+    if (changes.length === 0) {
+      return;
+    }
+
+    showNotification('state', this, {
+      title: changes.join(', '),
+      message: this.displayName,
+    });
+  }
+
+  /**
+   * Start/stop capturing captions.
+   *
+   * @param {boolean} enable Whether to capture.
+   */
+  setCaptions(enable) {
+    this.send('captions', {enable});
+  }
+
+  /**
+   * Send a reaction to the meeting.
+   *
+   * @param {string} emoji The reaction to send.
+   */
+  react(emoji) {
+    this.send('react', {emoji});
+  }
+
+  /**
+   * Leave (hang up) the meeting.
+   *
+   * If the user wants confirmation, ask via a notification, and only leave if
+   * they click its button.
+   *
+   * @param {!Object=} param How to leave.
+   */
+  leave({confirm = confirmLeave} = {}) {
+    if (!confirm || !this.active) {
+      this.send('leave');
+      return;
+    }
+
+    showNotification('leave', this, {
+      title: 'Leave meeting?',
+      message: this.displayName,
+      priority: 2,
+      requireInteraction: true,
+    });
+  }
+
+  /**
+   * Focus the active meeting if the user prefs want it.
+   *
+   * The per-meeting rule overrides the global pref.
+   */
+  autofocus() {
+    const enabled = this.autofocusRule
+      ? this.autofocusRule === 'on'
+      : autofocus;
+    if (enabled) {
+      this.focus();
+    }
+  }
+
+  focus() {
+    // NB: We can't rely on the port->sender details as they don't stay in
+    // sync with the actual tab (like the index field).  So query the latest
+    // state here to access it.
+    chrome.tabs.get(this.port.sender.tab.id, (tab) => {
+      chrome.windows.update(tab.windowId, {focused: true});
+      chrome.tabs.highlight({tabs: tab.index, windowId: tab.windowId});
+    });
+  }
+
+  send(command, data = {}) {
+    const message = Object.assign({}, data, {command});
+    this.port.postMessage(message);
+  }
+
+  /**
+   * Invoked when a message came across the port.
+   *
+   * @see https://developer.chrome.com/extensions/runtime/#event-onMessage
+   * @param {!Object} message
+   * @private
+   */
+  recv(message) {
+    logging.debug('recv', this.port, message);
+    const {command} = message;
+    const handler = this.commands.get(command);
+    if (handler) {
+      logging.debug(`dispatching to ${command}`, message);
+      handler.call(this, message);
+    } else {
+      logging.warn(`${this.port.name}: unknown command '${command}'`, message);
+    }
+  }
+
+  /**
+   * The page wants to log stuff.
+   *
+   * @param {string} message The log message
+   */
+  message_log(message) {
+    logging.recordLog(message);
+  }
+
+  /**
+   * The user has joined the meeting, so it is now active.
+   *
+   * @param {!Object} param When the user joined.
+   */
+  message_joined({time}) {
+    this.active = true;
+    this.joinTime = time ?? Date.now();
+    runPendingAutomation(this);
+    meetings.persist();
+    scheduleAutomation(this);
+    badge.update();
+  }
+
+  /**
+   * The page found (or lost) its controls.
+   *
+   * @param {!Object} param Which locator strategies matched.
+   */
+  message_locator({strategy, hangupStrategy}) {
+    this.locator = strategy;
+    const msg =
+      `${this.displayName}: controls located via '${strategy}'; ` +
+      `hangup via '${hangupStrategy}'`;
+    // Anything other than the primary strategy means Meet changed its UI on
+    // us.  The hangup button doesn't exist before joining, so ignore it.
+    if (strategy === 'jsname') {
+      logging.debug(msg);
+    } else {
+      logging.warn(msg);
+    }
+  }
+
+  /**
+   * The page matched one of the user's per-meeting rules.
+   *
+   * @param {!Object} rule The rule settings.
+   */
+  message_rule(rule) {
+    this.rule = rule;
+    this.autofocusRule = rule.autofocus ?? '';
+    if (rule.prefer) {
+      meetings.setDefault(this.id);
+    }
+    if (this.active) {
+      scheduleAutomation(this);
+    }
+  }
+
+  /**
+   * The page started/stopped capturing captions.
+   *
+   * @param {!Object} param The capture state.
+   */
+  message_captions({enabled}) {
+    this.captions = enabled;
+    badge.update();
+  }
+
+  /**
+   * A new (or updated) line of captions.
+   *
+   * @param {!Object} line The caption line.
+   */
+  message_caption(line) {
+    if (!this.transcript) {
+      this.transcript = new Transcript(this);
+      meetings.persist();
+      // Let the popup know there's something to download now.
+      badge.update();
+    }
+    this.transcript.title = this.displayName;
+    this.transcript.update(line);
+  }
+
+  /**
+   * Meet thinks the user is talking while muted.
+   */
+  message_talking() {
+    logging.info(`${this.displayName}: talking while muted`);
+    badge.flash('!', '#f2c94c');
+    if (!talkingNotify) {
+      return;
+    }
+    showNotification('talking', this, {
+      title: 'Are you talking? Your mic is off.',
+      message: this.displayName,
+      priority: 2,
+    });
+  }
+
+  /**
+   * New chat messages came in, or the user read them.
+   *
+   * @param {!Object} param The chat details.
+   */
+  message_chat({unread, visible, sender, text}) {
+    if (text !== undefined) {
+      this.lastChat = sender ? `${sender}: ${text}` : text;
+      if (chatNotify && !visible) {
+        showNotification('chat', this, {
+          title: sender
+            ? `${sender} in ${this.displayName}`
+            : `Chat in ${this.displayName}`,
+          message: text,
+        });
+      }
+    }
+
+    if (this.unreadChat !== unread) {
+      this.unreadChat = unread;
+      badge.update();
+    }
+  }
+
+  /**
+   * The people in the meeting changed.
+   *
+   * @param {!Object} param The roster details.
+   */
+  message_roster({count, names}) {
+    if (!this.attendance) {
+      this.attendance = new Attendance(this);
+      meetings.persist();
+    }
+    this.attendance.title = this.displayName;
+    this.attendance.update(names);
+
+    if (this.participants !== count) {
+      this.participants = count;
+      badge.update();
+    }
+  }
+
+  /**
+   * The user pressed/released the push-to-talk key in the meeting page.
+   *
+   * @param {!Object} param The key state.
+   */
+  message_ptt({pressed}) {
+    meetings.pushToTalk(pressed);
+  }
+
+  /**
+   * Update meeting info we care about.
+   *
+   * @param {!Object} param The new mic/cam settings.
+   */
+  message_update({title, audioMuted, videoMuted, handRaised}) {
+    if (title) {
+      this.title = title.replace(/^Meet - /, '');
+    }
+
+    // Ignore the initial state when the meeting first loads.
+    if (
+      stateNotify &&
+      this.audioMuted !== null &&
+      (this.audioMuted !== audioMuted || this.videoMuted !== videoMuted)
+    ) {
+      this.queueStateNotification_();
+    }
+
+    const update =
+      this.audioMuted !== audioMuted ||
+      this.videoMuted !== videoMuted ||
+      this.handRaised !== handRaised;
+    this.audioMuted = audioMuted;
+    this.videoMuted = videoMuted;
+    this.handRaised = handRaised;
+    if (title) {
+      meetings.persist();
+    }
+    // Debounce updates due to possible duplicate notifications.
+    if (update) {
+      badge.update();
+    }
+  }
+}
+
+// Build up a map of available messages for easier access later.
+Meeting.prototype.commands = new Map();
+Object.getOwnPropertyNames(Meeting.prototype).forEach((name) => {
+  if (name.startsWith('message_')) {
+    Meeting.prototype.commands.set(name.substr(8), Meeting.prototype[name]);
+  }
+});
+
+/**
+ * Give a meeting a name of the user's choosing.
+ *
+ * These are keyed by meeting code so recurring meetings keep their names.  The
+ * storage change listener picks up the new value.
+ *
+ * @param {string} code The meeting code.
+ * @param {string} alias The new name, or empty to clear it.
+ */
+function setAlias(code, alias) {
+  const aliases = Object.assign({}, meetingAliases);
+  alias = `${alias ?? ''}`.trim();
+  if (alias) {
+    aliases[code] = alias;
+  } else {
+    delete aliases[code];
+  }
+  logging.info(`${code}: alias changed to '${alias}'`);
+  chrome.storage.sync.set({'meeting-aliases': aliases});
+}
+
+/**
+ * Gather up the state of all meetings for our internal pages.
+ *
+ * The port->sender tab details go stale (e.g. the index field), so query the
+ * latest tab state here.
+ *
+ * @return {!Promise<!Array<!Object>>} The meetings.
+ */
+async function listMeetings() {
+  const now = Date.now();
+  return Promise.all(
+    Array.from(meetings.meetings.values(), async (meeting) => {
+      const tab = await chrome.tabs
+        .get(meeting.port.sender.tab.id)
+        .catch(() => undefined);
+      return {
+        id: meeting.id,
+        name: meeting.port.name,
+        code: meeting.code,
+        title: meeting.title,
+        alias: meetingAliases[meeting.code] ?? null,
+        prefer: meeting.prefer,
+        active: meeting.active,
+        audioMuted: meeting.audioMuted,
+        videoMuted: meeting.videoMuted,
+        handRaised: meeting.handRaised,
+        locator: meeting.locator,
+        captions: meeting.captions,
+        transcript: meeting.transcript?.id ?? null,
+        participants: meeting.participants,
+        unreadChat: meeting.unreadChat,
+        lastChat: meeting.lastChat,
+        attendance: meeting.attendance?.id ?? null,
+        windowId: tab?.windowId ?? meeting.windowId,
+        tabIndex: tab?.index ?? null,
+        audible: tab?.audible ?? false,
+        joinTime: meeting.joinTime,
+        duration: meeting.joinTime === null ? null : now - meeting.joinTime,
+      };
+    }),
+  );
+}
+
+/**
+ * Callback when a foreground page sends us a message.
+ *
+ * This is used for all our custom pages, *not* the injected meetings pages.
+ * Injected meetings route through the Meeting class (and its message_* APIs).
+ *
+ * @param {!Port} port The port the message came via.
+ * @param {!Object} message The message!
+ */
+function onInternalPageMessage(port, message) {
+  logging.debug('onInternalPageMessage', message);
+  const {command} = message;
+  switch (command) {
+    default:
+      logging.warn(`${port.name}: unknown command '${command}'`, message);
+      break;
+
+    case 'list':
+      listMeetings()
+        .then((result) =>
+          port.postMessage({
+            command,
+            meetings: result,
+            summary: meetings.summary,
+          }),
+        )
+        // The page might have closed while we were waiting.
+        .catch((e) => logging.debug(`${port.name}: unable to list`, e));
+      break;
+
+    case 'default':
+      meetings.setDefault(message.id, message.prefer);
+      break;
+
+    case 'alias':
+      setAlias(message.code, message.alias);
+      break;
+
+    case 'mute-all':
+      meetings.mute({audio: message.audio, video: message.video}, false, true);
+      break;
+
+    case 'unmute-all':
+      meetings.unmute(
+        {audio: message.audio, video: message.video},
+        false,
+        true,
+      );
+      break;
+
+    case 'focus-default':
+      meetings.default?.focus();
+      break;
+
+    case 'clear-default': {
+      const prefer = meetings.default;
+      if (prefer) {
+        meetings.setDefault(prefer.id, false);
+      }
+      break;
+    }
+
+    case 'focus': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        meeting.focus();
+      }
+      break;
+    }
+
+    case 'toggle': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        meeting.toggle(message);
+      }
+      break;
+    }
+
+    case 'leave': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        meeting.leave();
+      }
+      break;
+    }
+
+    case 'hand': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        if (message.raise) {
+          meeting.raiseHand();
+        } else {
+          meeting.lowerHand();
+        }
+      }
+      break;
+    }
+
+    case 'react': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        meeting.react(message.emoji);
+      }
+      break;
+    }
+
+    case 'captions': {
+      const meeting = meetings.get(message.id);
+      if (meeting) {
+        meeting.setCaptions(message.enable);
+      }
+      break;
+    }
+
+    case 'list-transcripts': {
+      const result = [];
+      transcripts.forEach((transcript) => {
+        result.push({
+          id: transcript.id,
+          name: transcript.name,
+          title: transcript.title,
+          start: transcript.start,
+          lines: transcript.lines.size,
+        });
+      });
+      port.postMessage({command, transcripts: result});
+      break;
+    }
+
+    case 'list-attendance': {
+      const result = [];
+      attendances.forEach((attendance) => {
+        result.push({
+          id: attendance.id,
+          name: attendance.name,
+          title: attendance.title,
+          start: attendance.start,
+          events: attendance.events.length,
+        });
+      });
+      port.postMessage({command, attendances: result});
+      break;
+    }
+
+    case 'get-attendance': {
+      const attendance = attendances.get(message.id);
+      if (attendance) {
+        port.postMessage({
+          command,
+          id: attendance.id,
+          format: 'csv',
+          title: attendance.title,
+          text: attendance.toCsv(),
+        });
+      }
+      break;
+    }
+
+    case 'get-transcript': {
+      const transcript = transcripts.get(message.id);
+      if (transcript) {
+        const {id, format} = message;
+        const text =
+          format === 'vtt' ? transcript.toVtt() : transcript.toText();
+        port.postMessage({command, id, format, title: transcript.title, text});
+      }
+      break;
+    }
+
+    case 'log':
+      logging.recordLog(message);
+      break;
+
+    case 'get-log':
+      port.postMessage({command, log: logging.getLog().join('\n')});
+      break;
+  }
+}
+
+/**
+ * Invoked when the push-to-talk script sends a message.
+ *
+ * That script runs in every page, so only accept the one command it needs
+ * rather than everything our own pages can do.
+ *
+ * @param {!Object} message The message!
+ * @private
+ */
+function onPushToTalkMessage(message) {
+  if (message?.command !== 'ptt') {
+    logging.warn('rejecting message from push-to-talk page', message);
+    return;
+  }
+  meetings.pushToTalk(!!message.pressed);
+}
+
+function onPopupDisconnect(port) {
+  logging.debug('onPopupDisconnect');
+  badge.popup = null;
+}
+
+/**
+ * Invoked when internal code calls chrome.runtime.connect.
+ *
+ * @see https://developer.chrome.com/extensions/runtime#event-onConnect.
+ * @param {!Port} port The new communication channel.
+ * @private
+ */
+function onConnect(port) {
+  logging.debug('onConnect', port);
+
+  switch (port.name) {
+    case 'control':
+      logging.debug('connection from popup');
+      logging.assert(port.sender.tab === undefined);
+      port.onMessage.addListener(
+        whenReady(onInternalPageMessage.bind(this, port)),
+      );
+      port.onDisconnect.addListener(onPopupDisconnect.bind(this, port));
+      badge.popup = port;
+      break;
+
+    case 'options':
+      logging.debug('connection from options');
+      port.onMessage.addListener(
+        whenReady(onInternalPageMessage.bind(this, port)),
+      );
+      break;
+
+    case 'history':
+      logging.debug('connection from history');
+      port.onMessage.addListener(
+        whenReady(onInternalPageMessage.bind(this, port)),
+      );
+      break;
+
+    case 'ptt':
+      logging.debug('connection from push-to-talk page');
+      port.onMessage.addListener(whenReady(onPushToTalkMessage));
+      break;
+
+    default: {
+      logging.debug('connection from new meeting');
+      const meeting = new Meeting(port);
+      meeting.bind();
+    }
+  }
+}
+
+/**
+ * The version of the external API.  Bump when making incompatible changes.
+ *
+ * @const {number}
+ */
+const EXTERNAL_API_VERSION = 1;
+
+/** @type {!Set<!Port>} External subscribers to meeting state changes. */
+const externalPorts = new Set();
+
+/**
+ * Whether the external sender may use our API.
+ *
+ * @param {!MessageSender} sender The other extension.
+ * @return {boolean}
+ */
+function externalAllowed(sender) {
+  return externalAllowlist.includes(sender.id);
+}
+
+/**
+ * Get the meeting state we expose externally.
+ *
+ * This is part of the external API, so keep it stable.
+ *
+ * @return {!Array<!Object>} The meetings.
+ */
+function externalMeetingList() {
+  const result = [];
+  meetings.meetings.forEach((meeting) => {
+    result.push({
+      // Our own ids change whenever the service worker restarts.
+      id: meeting.port.sender.tab.id,
+      code: meeting.code,
+      title: meeting.title,
+      alias: meetingAliases[meeting.code] ?? null,
+      prefer: meeting.prefer,
+      active: meeting.active,
+      audioMuted: meeting.audioMuted,
+      videoMuted: meeting.videoMuted,
+      handRaised: meeting.handRaised,
+    });
+  });
+  return result;
+}
+
+/**
+ * Send the current meeting state to all external subscribers.
+ */
+function notifyExternal() {
+  if (externalPorts.size === 0) {
+    return;
+  }
+  const message = {
+    version: EXTERNAL_API_VERSION,
+    event: 'state',
+    meetings: externalMeetingList(),
+  };
+  externalPorts.forEach((port) => port.postMessage(message));
+}
+
+/**
+ * Invoked when another extension sends us a one-off message.
+ *
+ * This mirrors onInternalPageMessage, but only for a small & stable subset.
+ * Commands that take an optional meeting id act on that meeting, otherwise
+ * they follow the same rules as the keyboard shortcuts.
+ *
+ * @see https://developer.chrome.com/extensions/runtime#event-onMessageExternal
+ * @param {!Object} message The message!
+ * @param {!MessageSender} sender The other extension.
+ * @param {function(!Object)} sendResponse Callback for the result.
+ * @private
+ */
+function onMessageExternal(message, sender, sendResponse) {
+  logging.debug('onMessageExternal', sender.id, message);
+  const respond = (result = {}) =>
+    sendResponse(Object.assign({version: EXTERNAL_API_VERSION}, result));
+
+  if (!externalAllowed(sender)) {
+    logging.warn(`rejecting external message from ${sender.id}`);
+    respond({error: 'not allowed'});
+    return;
+  }
+
+  const request = message ?? {};
+  const {command, id} = request;
+  const meeting = id === undefined ? undefined : meetings.getByTab(id);
+  if (id !== undefined && !meeting) {
+    respond({error: `unknown meeting '${id}'`});
+    return;
+  }
+
+  const data = {audio: !!request.audio, video: !!request.video};
+  if (!data.audio && !data.video) {
+    data.audio = true;
+  }
+
+  switch (command) {
+    default:
+      logging.warn(`${sender.id}: unknown command '${command}'`, request);
+      respond({error: `unknown command '${command}'`});
+      return;
+
+    case 'version':
+      break;
+
+    case 'list':
+      respond({meetings: externalMeetingList()});
+      return;
+
+    case 'toggle':
+      (meeting ?? meetings).toggle(data);
+      break;
+
+    case 'mute':
+      (meeting ?? meetings).mute(data);
+      break;
+
+    case 'unmute':
+      (meeting ?? meetings).unmute(data);
+      break;
+
+    case 'focus':
+      (meeting ?? meetings).focus();
+      break;
+
+    case 'default':
+      if (id === undefined) {
+        respond({error: 'missing meeting id'});
+        return;
+      }
+      meetings.setDefault(meeting.id, request.prefer ?? true);
+      break;
+  }
+  respond();
+}
+
+/**
+ * Invoked when another extension connects to subscribe to state changes.
+ *
+ * @see https://developer.chrome.com/extensions/runtime#event-onConnectExternal
+ * @param {!Port} port The new communication channel.
+ * @private
+ */
+function onConnectExternal(port) {
+  logging.debug('onConnectExternal', port.sender.id, port.name);
+  if (!externalAllowed(port.sender)) {
+    logging.warn(`rejecting external connection from ${port.sender.id}`);
+    port.disconnect();
+    return;
+  }
+
+  externalPorts.add(port);
+  port.onDisconnect.addListener(() => externalPorts.delete(port));
+  port.postMessage({
+    version: EXTERNAL_API_VERSION,
+    event: 'state',
+    meetings: externalMeetingList(),
+  });
+}
+
+/** @const {string} The native messaging host we talk to. */
+const NATIVE_HOST = 'io.github.vapier.goat_meet_manager';
+
+/** @const {number} How long (in msec) to wait before reconnecting the host. */
+const NATIVE_RETRY_DELAY = 60 * 1000;
+
+/** @type {?Port} The connection to the native messaging host. */
+let nativePort = null;
+
+/** @type {?number} Timer for reconnecting to the native messaging host. */
+let nativeRetryTimer = null;
+
+/** @type {?string} The last state we sent to the native host. */
+let nativeLastState = null;
+
+/**
+ * Connect to (or disconnect from) the native host based on user prefs.
+ *
+ * The permission is optional, so if the user didn't grant it, we can't do
+ * anything.
+ */
+async function updateNativeHost() {
+  clearTimeout(nativeRetryTimer);
+  nativeRetryTimer = null;
+
+  if (!nativeEnabled) {
+    if (nativePort) {
+      logging.info('disconnecting from native host');
+      nativePort.disconnect();
+      nativePort = null;
+    }
+    return;
+  }
+
+  if (nativePort) {
+    return;
+  }
+  const granted = await chrome.permissions.contains({
+    permissions: ['nativeMessaging'],
+  });
+  if (!granted) {
+    logging.warn('native host lacks nativeMessaging permission');
+    return;
+  }
+
+  logging.info(`connecting to native host ${NATIVE_HOST}`);
+  nativeLastState = null;
+  nativePort = chrome.runtime.connectNative(NATIVE_HOST);
+  nativePort.onMessage.addListener(onNativeMessage);
+  nativePort.onDisconnect.addListener(onNativeDisconnect);
+  notifyNative();
+}
+
+/**
+ * Invoked when the native host goes away (or was never installed).
+ *
+ * @private
+ */
+function onNativeDisconnect() {
+  const error = chrome.runtime.lastError?.message ?? 'exited';
+  logging.warn(`native host disconnected: ${error}`);
+  nativePort = null;
+  if (nativeEnabled) {
+    nativeRetryTimer = setTimeout(updateNativeHost, NATIVE_RETRY_DELAY);
+  }
+}
+
+/**
+ * Send the current meeting state to the native host if it changed.
+ */
+function notifyNative() {
+  if (!nativePort) {
+    return;
+  }
+  const message = JSON.stringify({
+    event: 'state',
+    state: meetings.state.description,
+    videoState: meetings.videoState.description,
+    size: meetings.size,
+    numActive: meetings.numActive,
+    numAudioMuted: meetings.numAudioMuted,
+    numVideoMuted: meetings.numVideoMuted,
+  });
+  // Avoid spamming the host with duplicates.
+  if (message === nativeLastState) {
+    return;
+  }
+  nativeLastState = message;
+  nativePort.postMessage(JSON.parse(message));
+}
+
+/**
+ * Invoked when the native host sends us a command.
+ *
+ * The commands act like the keyboard shortcuts.
+ *
+ * @param {!Object} message The message!
+ * @private
+ */
+function onNativeMessage(message) {
+  logging.debug('onNativeMessage', message);
+  const {command} = message;
+  const data = {audio: !!message.audio, video: !!message.video};
+  if (!data.audio && !data.video) {
+    data.audio = true;
+  }
+
+  switch (command) {
+    default:
+      logging.warn(`native host: unknown command '${command}'`, message);
+      break;
+
+    case 'toggle':
+      meetings.toggle(data);
+      break;
+
+    case 'mute':
+      meetings.mute(data);
+      break;
+
+    case 'unmute':
+      meetings.unmute(data);
+      break;
+
+    case 'focus':
+      meetings.focus();
+      break;
+
+    case 'log':
+      logging.info(`native host: ${message.text}`);
+      break;
+  }
+}
+
+/**
+ * Invoked when user clicks the extension icon.
+ *
+ * @see https://developer.chrome.com/extensions/action/#event-onClicked
+ * @param {!Tab} tab The active tab.
+ * @private
+ */
+function onActionClicked(tab) {
+  logging.debug('onActionClicked', tab);
+
+  const meeting = meetings.find({tabId: tab.id, windowId: tab.windowId});
+
+  switch (actionButtonBehavior) {
+    case 'popup':
+      // Shouldn't happen here ...
+      return;
+
+    default:
+      logging.warn(`Unknown action behavior '${actionButtonBehavior}'`);
+
+    case 'toggle-audio+popup':
+    case 'toggle-audio':
+      if (meeting) {
+        meeting.toggle();
+      } else {
+        meetings.toggle();
+      }
+      break;
+
+    case 'mute-audio+popup':
+    case 'mute-audio':
+      if (meeting) {
+        meeting.mute();
+      } else {
+        meetings.mute();
+      }
+      break;
+
+    case 'focus+popup':
+    case 'focus':
+      if (meeting) {
+        meeting.focus();
+      } else {
+        meetings.focus();
+      }
+      break;
+  }
+}
+
+/**
+ * Invoked when user invokes a bound command (e.g. keyboard shortcut).
+ *
+ * @see https://developer.chrome.com/extensions/commands#event-onCommand
+ * @param {string} command The command to run.
+ * @param {!Tab} tab The active tab.
+ * @private
+ */
+function onCommand(command, tab) {
+  logging.debug('onCommand', command, tab);
+
+  switch (command) {
+    default:
+      logging.error(`unknown command '${command}'`);
+      break;
+
+    case 'focus':
+      meetings.focus();
+      break;
+
+    case 'leave':
+      meetings.leave();
+      break;
+
+    case 'raise-hand':
+      meetings.raiseHand();
+      break;
+    case 'lower-hand':
+      meetings.lowerHand();
+      break;
+
+    case 'mute-audio':
+      meetings.mute({audio: true});
+      break;
+    case 'unmute-audio':
+      meetings.unmute({audio: true});
+      break;
+    case 'toggle-mute-audio':
+      meetings.toggle({audio: true});
+      break;
+    case 'mute-both':
+      meetings.mute({audio: true, video: true});
+      break;
+    case 'unmute-both':
+      meetings.unmute({audio: true, video: true});
+      break;
+    case 'toggle-mute-both':
+      meetings.toggle({audio: true, video: true});
+      break;
+    case 'mute-video':
+      meetings.mute({video: true});
+      break;
+    case 'unmute-video':
+      meetings.unmute({video: true});
+      break;
+    case 'toggle-mute-video':
+      meetings.toggle({video: true});
+      break;
+  }
+}
 
 /**
- * Callback when a foreground page sends us a message.
+ * The omnibox commands & their help text.
  *
- * This is used for all our custom pages, *not* the injected meetings pages.
- * Injected meetings route through the Meeting class (and its message_* APIs).
+ * @const {!Array<!Array<string>>}
+ */
+const omniboxCommands = [
+  ['mute', 'Mute [audio|video|both]'],
+  ['unmute', 'Unmute [audio|video|both]'],
+  ['toggle', 'Toggle [audio|video|both]'],
+  ['focus', 'Focus [meeting title]'],
+  ['default', 'Make [meeting title] the default (or clear it)'],
+  ['leave', 'Leave [meeting title]'],
+];
+
+/**
+ * Helper to escape text for omnibox descriptions (which are XML).
  *
- * @param {!Port} port The port the message came via.
- * @param {!Object} message The message!
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
  */
-function onInternalPageMessage(port, message) {
-  logging.debug('onInternalPageMessage', message);
-  const {command} = message;
+function escapeXml(text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Find meetings whose title (or code) contains the text.
+ *
+ * @param {string} text The (partial) title to look for.
+ * @return {!Array<!Meeting>} The matching meetings.
+ */
+function findMeetingsByTitle(text) {
+  const needle = text.trim().toLowerCase();
+  const ret = [];
+  meetings.meetings.forEach((meeting) => {
+    const title = `${meeting.title ?? ''}`.toLowerCase();
+    const alias = `${meetingAliases[meeting.code] ?? ''}`.toLowerCase();
+    if (
+      alias.includes(needle) ||
+      title.includes(needle) ||
+      meeting.code.includes(needle)
+    ) {
+      ret.push(meeting);
+    }
+  });
+  return ret;
+}
+
+/**
+ * Split omnibox input into the command & its argument.
+ *
+ * @param {string} text The user input.
+ * @return {!Array<string>} The command & argument.
+ */
+function parseOmnibox(text) {
+  const match = text.trim().match(/^(\S*)\s*(.*)$/);
+  return [match[1].toLowerCase(), match[2]];
+}
+
+/**
+ * Invoked when the user types after our omnibox keyword.
+ *
+ * @see https://developer.chrome.com/extensions/omnibox#event-onInputChanged
+ * @param {string} text The user input.
+ * @param {function(!Array<!Object>)} suggest Callback for suggestions.
+ * @private
+ */
+function onOmniboxInputChanged(text, suggest) {
+  const [command, arg] = parseOmnibox(text);
+  const suggestions = [];
+
+  if (['focus', 'default', 'leave'].includes(command)) {
+    findMeetingsByTitle(arg).forEach((meeting) => {
+      const title = meeting.displayName;
+      suggestions.push({
+        content: `${command} ${title}`,
+        description:
+          `${command} <match>${escapeXml(title)}</match> ` +
+          `<dim>${meeting.code}</dim>`,
+      });
+    });
+  } else {
+    omniboxCommands.forEach(([name, help]) => {
+      if (name.startsWith(command)) {
+        suggestions.push({content: name, description: escapeXml(help)});
+      }
+    });
+  }
+
+  suggest(suggestions);
+}
+
+/**
+ * Invoked when the user accepts our omnibox input.
+ *
+ * @see https://developer.chrome.com/extensions/omnibox#event-onInputEntered
+ * @param {string} text The user input.
+ * @private
+ */
+function onOmniboxInputEntered(text) {
+  logging.debug('onOmniboxInputEntered', text);
+  const [command, arg] = parseOmnibox(text);
+
+  const devices = {
+    '': {audio: true},
+    'audio': {audio: true},
+    'video': {video: true},
+    'both': {audio: true, video: true},
+  };
+  const data = devices[arg.toLowerCase()];
+  const [meeting] = arg ? findMeetingsByTitle(arg) : [];
+
   switch (command) {
     default:
-      logging.warn(`${port.name}: unknown command '${command}'`, message);
+      logging.warn(`omnibox: unknown command '${text}'`);
       break;
 
-    case 'list': {
-      const result = [];
-      meetings.meetings.forEach((meeting) => {
-        result.push({
-          id: meeting.id,
-          name: meeting.port.name,
-          title: meeting.title,
-          prefer: meeting.prefer,
-          active: meeting.active,
-          audioMuted: meeting.audioMuted,
-          videoMuted: meeting.videoMuted,
-        });
-      });
-      port.postMessage({command, meetings: result});
+    case 'mute':
+    case 'unmute':
+    case 'toggle':
+      if (data === undefined) {
+        logging.warn(`omnibox: unknown device '${arg}'`);
+        break;
+      }
+      meetings[command](data);
       break;
-    }
 
-    case 'default':
-      meetings.setDefault(message.id, message.prefer);
+    case 'focus':
+      (arg ? meeting : meetings)?.focus();
       break;
 
-    case 'focus': {
-      const meeting = meetings.get(message.id);
-      if (meeting) {
-        meeting.focus();
+    case 'default':
+      if (arg) {
+        if (meeting) {
+          meetings.setDefault(meeting.id);
+        }
+      } else {
+        const prefer = meetings.default;
+        if (prefer) {
+          meetings.setDefault(prefer.id, false);
+        }
       }
       break;
-    }
 
-    case 'toggle': {
-      const meeting = meetings.get(message.id);
-      if (meeting) {
-        meeting.toggle(message);
-      }
+    case 'leave':
+      (arg ? meeting : meetings)?.leave();
       break;
+  }
+}
+
+/**
+ * Invoked when storage changes.
+ *
+ * @see https://developer.chrome.com/extensions/storage#event-onChanged
+ * @param {!StorageChanges} changes
+ * @private
+ */
+function onStorageChanged(changes) {
+  logging.debug('onStorageChanged');
+
+  for (const [key, change] of Object.entries(changes)) {
+    logging.debug(
+      `storage '${key}' changed '${change.oldValue}' -> '${change.newValue}'`,
+    );
+
+    switch (key) {
+      case 'debug':
+        logging.setDebug(!!change.newValue);
+        logging.info(`debug changed to ${change.newValue}`);
+        break;
+
+      case 'autofocus':
+        autofocus = !!change.newValue;
+        break;
+
+      case 'action-behavior':
+        actionButtonBehavior = change.newValue;
+        break;
+
+      case 'confirm-leave':
+        confirmLeave = !!change.newValue;
+        break;
+
+      case 'ptt-enabled':
+        pttEnabled = !!change.newValue;
+        updatePttScript();
+        break;
+
+      case 'ptt-global':
+        pttGlobal = !!change.newValue;
+        updatePttScript();
+        break;
+
+      case 'talking-notify':
+        talkingNotify = !!change.newValue;
+        break;
+
+      case 'state-notify':
+        stateNotify = change.newValue;
+        break;
+
+      case 'state-notify-on':
+        stateNotifyOn = change.newValue;
+        break;
+
+      case 'auto-video-off':
+        autoVideoOffAfter = change.newValue;
+        rescheduleAutomation();
+        break;
+
+      case 'auto-end-time':
+        autoEndAt = change.newValue;
+        rescheduleAutomation();
+        break;
+
+      case 'auto-remind':
+        autoRemindBefore = change.newValue;
+        rescheduleAutomation();
+        break;
+
+      case 'auto-leave-time':
+        autoLeaveAt = change.newValue;
+        rescheduleAutomation();
+        break;
+
+      case 'chat-notify':
+        chatNotify = !!change.newValue;
+        break;
+
+      case 'chat-badge':
+        chatBadge = !!change.newValue;
+        break;
+
+      case 'idle-mute':
+        idleMute = change.newValue;
+        break;
+
+      case 'idle-mute-video':
+        idleMuteVideo = !!change.newValue;
+        break;
+
+      case 'idle-restore':
+        idleRestore = !!change.newValue;
+        break;
+
+      case 'idle-delay':
+        idleDelay = change.newValue;
+        updateIdleDetection();
+        break;
+
+      case 'audible-mute':
+        audibleMute = !!change.newValue;
+        break;
+
+      case 'audible-unmute':
+        audibleUnmute = !!change.newValue;
+        break;
+
+      case 'audible-sites-mode':
+        audibleSitesMode = change.newValue;
+        break;
+
+      case 'audible-sites':
+        audibleSites = parseList(change.newValue);
+        break;
+
+      case 'target-policy':
+        targetPolicy = change.newValue;
+        break;
+
+      case 'badge-text':
+        badgeText = change.newValue;
+        break;
+
+      case 'meeting-aliases':
+        meetingAliases = change.newValue ?? {};
+        break;
+
+      case 'icon-theme':
+        iconTheme = change.newValue;
+        break;
+
+      case 'icon-overlays':
+        iconOverlays = !!change.newValue;
+        break;
+
+      case 'native-enabled':
+        nativeEnabled = !!change.newValue;
+        updateNativeHost();
+        break;
+
+      case 'external-allowlist':
+        externalAllowlist = parseList(change.newValue);
+        externalPorts.forEach((port) => {
+          if (!externalAllowed(port.sender)) {
+            port.disconnect();
+            externalPorts.delete(port);
+          }
+        });
+        break;
     }
+  }
 
-    case 'log':
-      logging.recordLog(message);
-      break;
+  badge.update();
+}
+
+/**
+ * Invoked when storage is fetched.
+ *
+ * @see https://developer.chrome.com/extensions/storage#get
+ * @param {!Object} settings All the user settings that exist.
+ * @private
+ */
+function initSettings(settings) {
+  logging.init({page: 'background', debug: !!settings['debug']});
+  autofocus = !!settings['autofocus'];
+  actionButtonBehavior = settings['action-behavior'];
+  confirmLeave = !!settings['confirm-leave'];
+  pttEnabled = !!settings['ptt-enabled'];
+  pttGlobal = !!settings['ptt-global'];
+  talkingNotify = !!settings['talking-notify'];
+  stateNotify = settings['state-notify'];
+  stateNotifyOn = settings['state-notify-on'];
+  autoVideoOffAfter = settings['auto-video-off'];
+  autoEndAt = settings['auto-end-time'];
+  autoRemindBefore = settings['auto-remind'];
+  autoLeaveAt = settings['auto-leave-time'];
+  chatNotify = !!settings['chat-notify'];
+  chatBadge = !!settings['chat-badge'];
+  idleMute = settings['idle-mute'];
+  idleMuteVideo = !!settings['idle-mute-video'];
+  idleRestore = !!settings['idle-restore'];
+  idleDelay = settings['idle-delay'];
+  audibleMute = !!settings['audible-mute'];
+  audibleUnmute = !!settings['audible-unmute'];
+  audibleSitesMode = settings['audible-sites-mode'];
+  audibleSites = parseList(settings['audible-sites']);
+  externalAllowlist = parseList(settings['external-allowlist']);
+  nativeEnabled = !!settings['native-enabled'];
+  badgeText = settings['badge-text'];
+  meetingAliases = settings['meeting-aliases'] ?? {};
+  iconTheme = settings['icon-theme'];
+  iconOverlays = !!settings['icon-overlays'];
+  targetPolicy = settings['target-policy'];
+}
+
+/**
+ * Helper to turn the user's list of sites/ids into something usable.
+ *
+ * @param {string|undefined} list Whitespace/comma separated hostnames/ids.
+ * @return {!Array<string>} The hostnames/ids.
+ */
+function parseList(list) {
+  return (list || '')
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter((site) => site);
+}
+
+/**
+ * Whether playing audio in a tab should mute the meetings.
+ *
+ * @param {string|undefined} url The tab's URL.
+ * @return {boolean}
+ */
+function audibleSiteMatches(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  const listed = audibleSites.some(
+    (site) => host === site || host.endsWith(`.${site}`),
+  );
+  return audibleSitesMode === 'allow' ? listed : !listed;
+}
+
+/** @type {!Set<number>} Non-meeting tabs that are playing audio. */
+const audibleTabs = new Set();
+
+/**
+ * @type {?Set<number>} Tabs of the meetings we muted because of audible tabs.
+ *     We track tabs rather than meeting ids as the latter change when the
+ *     service worker restarts.
+ */
+let audibleMutedTabs = null;
+
+/**
+ * Save the audible state for when the service worker restarts.
+ *
+ * Otherwise we'd forget to unmute the meetings when the audio stops.
+ */
+function persistAudible() {
+  chrome.storage.session.set({
+    audible: {
+      tabs: Array.from(audibleTabs),
+      mutedTabs: audibleMutedTabs && Array.from(audibleMutedTabs),
+    },
+  });
+}
+
+/**
+ * Mute/unmute meetings based on how many other tabs are playing audio.
+ */
+function updateAudibleMute() {
+  if (audibleTabs.size > 0) {
+    if (audibleMutedTabs === null) {
+      // Remember which meetings were live so we only restore those.
+      audibleMutedTabs = new Set();
+      meetings.meetings.forEach((meeting) => {
+        if (meeting.audioMuted === false) {
+          audibleMutedTabs.add(meeting.port.sender.tab.id);
+        }
+      });
+      logging.info('muting meetings as other tabs are playing audio');
+      meetings.mute({audio: true}, false, true);
+    }
+  } else if (audibleMutedTabs !== null) {
+    if (audibleUnmute) {
+      logging.info('unmuting meetings as other tabs stopped playing audio');
+      audibleMutedTabs.forEach((tabId) =>
+        meetings.getByTab(tabId)?.unmute({audio: true}),
+      );
+    }
+    audibleMutedTabs = null;
+  }
+  persistAudible();
+}
+
+/**
+ * Invoked when a tab changes.  We only care about audio changes.
+ *
+ * @see https://developer.chrome.com/extensions/tabs#event-onUpdated
+ * @param {number} tabId The tab that changed.
+ * @param {!Object} changeInfo What changed.
+ * @param {!Tab} tab The tab state.
+ * @private
+ */
+function onTabUpdated(tabId, changeInfo, tab) {
+  if (changeInfo.audible === undefined) {
+    return;
+  }
+
+  if (meetings.getByTab(tabId)) {
+    // Let the popup show the new audible state.
+    if (badge.popup) {
+      onInternalPageMessage(badge.popup, {command: 'list'});
+    }
+    return;
+  }
+
+  if (!audibleMute) {
+    return;
+  }
+
+  if (changeInfo.audible && audibleSiteMatches(tab.url)) {
+    logging.debug(`tab ${tabId} started playing audio`);
+    audibleTabs.add(tabId);
+  } else if (!audibleTabs.delete(tabId)) {
+    return;
+  }
+  updateAudibleMute();
+}
+
+/**
+ * Invoked when the user switches tabs.
+ *
+ * @see https://developer.chrome.com/extensions/tabs#event-onActivated
+ * @param {!Object} activeInfo The tab that is now active.
+ * @private
+ */
+function onTabActivated({tabId, windowId}) {
+  const meeting = meetings.getByTab(tabId);
+  if (meeting) {
+    meeting.windowId = windowId;
+    meeting.lastFocused = Date.now();
+    meetings.persist();
+  }
+}
+
+/**
+ * Invoked when a tab is moved to another window.
+ *
+ * @see https://developer.chrome.com/extensions/tabs#event-onAttached
+ * @param {number} tabId The tab that moved.
+ * @param {!Object} attachInfo Where the tab is now.
+ * @private
+ */
+function onTabAttached(tabId, {newWindowId}) {
+  const meeting = meetings.getByTab(tabId);
+  if (meeting) {
+    meeting.windowId = newWindowId;
+    meetings.persist();
+  }
+}
+
+/**
+ * Invoked when the user switches windows.
+ *
+ * Switching windows doesn't activate tabs, so check the active tab ourselves.
+ *
+ * @see https://developer.chrome.com/extensions/windows#event-onFocusChanged
+ * @param {number} windowId The window that is now focused.
+ * @private
+ */
+function onWindowFocusChanged(windowId) {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) {
+    return;
+  }
+  lastWindowId = windowId;
+  chrome.tabs.query({active: true, windowId}, (tabs) => {
+    tabs.forEach((tab) => onTabActivated({tabId: tab.id, windowId}));
+  });
+}
 
-    case 'get-log':
-      port.postMessage({command, log: logging.getLog().join('\n')});
-      break;
+/**
+ * Invoked when a tab is closed.
+ *
+ * @see https://developer.chrome.com/extensions/tabs#event-onRemoved
+ * @param {number} tabId The tab that closed.
+ * @private
+ */
+function onTabRemoved(tabId) {
+  if (audibleTabs.delete(tabId)) {
+    updateAudibleMute();
   }
 }
 
-function onPopupDisconnect(port) {
-  logging.debug('onPopupDisconnect');
-  badge.popup = null;
+/**
+ * Sync the idle detection with the user prefs.
+ */
+function updateIdleDetection() {
+  // Chrome requires at least 15 seconds.
+  const minutes = parseFloat(idleDelay) || 5;
+  chrome.idle.setDetectionInterval(Math.max(15, Math.round(minutes * 60)));
 }
 
 /**
- * Invoked when internal code calls chrome.runtime.connect.
+ * Invoked when the system goes idle/locked/active.
  *
- * @see https://developer.chrome.com/extensions/runtime#event-onConnect.
- * @param {!Port} port The new communication channel.
+ * We don't track the away state ourselves: the per-meeting snapshots are kept
+ * across service worker restarts, so they tell us what to restore.
+ *
+ * @see https://developer.chrome.com/extensions/idle#event-onStateChanged
+ * @param {string} state The new state: 'active', 'idle', or 'locked'.
  * @private
  */
-function onConnect(port) {
-  logging.debug('onConnect', port);
+function onIdleStateChanged(state) {
+  logging.debug(`idle state changed to '${state}'`);
+
+  if (state === 'active') {
+    let restored = false;
+    meetings.meetings.forEach((meeting) => {
+      if (meeting.awaySnapshot !== null) {
+        restored = true;
+        meeting.awayRestore(idleRestore);
+      }
+    });
+    if (restored) {
+      logging.info(`user returned; ${idleRestore ? '' : 'not '}restoring`);
+      meetings.persist();
+    }
+    return;
+  }
 
-  switch (port.name) {
-    case 'control':
-      logging.debug('connection from popup');
-      logging.assert(port.sender.tab === undefined);
-      port.onMessage.addListener(onInternalPageMessage.bind(this, port));
-      port.onDisconnect.addListener(onPopupDisconnect.bind(this, port));
-      badge.popup = port;
-      break;
+  if (!idleMute || (idleMute === 'locked' && state !== 'locked')) {
+    return;
+  }
 
-    case 'options':
-      logging.debug('connection from options');
-      port.onMessage.addListener(onInternalPageMessage.bind(this, port));
-      break;
+  logging.info(`muting meetings as the system is ${state}`);
+  meetings.meetings.forEach((meeting) => meeting.awayMute(idleMuteVideo));
+  meetings.persist();
+}
 
-    default: {
-      logging.debug('connection from new meeting');
-      const meeting = new Meeting(port);
-      meeting.bind();
-      badge.update();
+/**
+ * Register (or unregister) the push-to-talk script for all pages.
+ *
+ * Chrome remembers registered scripts across restarts, so we only need to
+ * sync it with the user prefs.  The host permission is optional, so if the
+ * user didn't grant it, we can't do anything.
+ */
+async function updatePttScript() {
+  const id = 'ptt';
+  const scripts = await chrome.scripting.getRegisteredContentScripts({
+    ids: [id],
+  });
+  const registered = scripts.length > 0;
+
+  if (pttEnabled && pttGlobal) {
+    if (registered) {
+      return;
     }
+    const granted = await chrome.permissions.contains({
+      origins: ['<all_urls>'],
+    });
+    if (!granted) {
+      logging.warn('push-to-talk on all pages lacks host permission');
+      return;
+    }
+    logging.info('registering push-to-talk script for all pages');
+    await chrome.scripting.registerContentScripts([
+      {
+        id,
+        js: ['js/ptt.js'],
+        matches: ['<all_urls>'],
+        // The meeting pages handle the key themselves.
+        excludeMatches: ['https://meet.google.com/*'],
+        allFrames: true,
+        runAt: 'document_start',
+      },
+    ]);
+  } else if (registered) {
+    logging.info('unregistering push-to-talk script for all pages');
+    await chrome.scripting.unregisterContentScripts({ids: [id]});
   }
 }
 
 /**
- * Invoked when user clicks the extension icon.
+ * Invoked when the user grants more permissions.
  *
- * @see https://developer.chrome.com/extensions/action/#event-onClicked
- * @param {!Tab} tab The active tab.
+ * Features that were waiting on the permissions can start up now.
+ *
+ * @see https://developer.chrome.com/extensions/permissions#event-onAdded
  * @private
  */
-function onActionClicked(tab) {
-  logging.debug('onActionClicked', tab);
-
-  const meeting = meetings.find({tabId: tab.id, windowId: tab.windowId});
-
-  switch (actionButtonBehavior) {
-    case 'popup':
-      // Shouldn't happen here ...
-      return;
-
-    default:
-      logging.warn(`Unknown action behavior '${actionButtonBehavior}'`);
+function onPermissionsAdded() {
+  updatePttScript();
+  updateNativeHost();
+}
 
-    case 'toggle-audio+popup':
-    case 'toggle-audio':
-      if (meeting) {
-        meeting.toggle();
-      } else {
-        meetings.toggle();
-      }
-      break;
+/** @const {!Array<number>} The icon sizes we render. */
+const ICON_SIZES = [16, 32];
 
-    case 'mute-audio+popup':
-    case 'mute-audio':
-      if (meeting) {
-        meeting.mute();
-      } else {
-        meetings.mute();
-      }
-      break;
+/**
+ * The colors for each icon theme.  The bg is the circle behind the glyph (none
+ * when unset), the fg is the glyph, & the ring is an optional outline.  The
+ * default theme uses the colors in the SVG sources.
+ *
+ * @const {!Object<string, !Object<string, !Object<string, string>>>}
+ */
+const ICON_THEMES = {
+  '': {},
+  'light': {
+    'inactive': {fg: '#5f6368'},
+    'mic-on': {fg: '#137333'},
+    'mic-off': {fg: '#c5221f'},
+  },
+  'dark': {
+    'inactive': {fg: '#bdc1c6'},
+    'mic-on': {fg: '#81c995'},
+    'mic-off': {fg: '#f28b82'},
+  },
+  'high-contrast': {
+    'inactive': {bg: 'black', fg: '#bdc1c6', ring: 'white'},
+    'mic-on': {bg: 'yellow', fg: 'black', ring: 'black'},
+    'mic-off': {bg: 'black', fg: 'white', ring: 'white'},
+  },
+};
+
+/** @type {!Map<string, !Object>} Cache of the parsed SVG sources. */
+const iconSources = new Map();
 
-    case 'focus+popup':
-    case 'focus':
-      if (meeting) {
-        meeting.focus();
-      } else {
-        meetings.focus();
-      }
-      break;
+/**
+ * Load one of our SVG icons.
+ *
+ * Service workers can't decode SVGs, but ours are simple enough (a circle with
+ * paths on top) that we can pull out the bits we need & draw them ourselves.
+ *
+ * @param {string} name The icon name (e.g. mic-on).
+ * @return {!Promise<!Object>} The circle color & the glyph paths.
+ */
+async function loadIconSource(name) {
+  let source = iconSources.get(name);
+  if (!source) {
+    const response = await fetch(chrome.runtime.getURL(`images/${name}.svg`));
+    const svg = await response.text();
+    source = {
+      bg: svg.match(/<circle[^>]*fill="([^"]+)"/)[1],
+      fg: svg.match(/<path[^>]*fill="([^"]+)"/)[1],
+      paths: Array.from(svg.matchAll(/<path[^>]*\sd="([^"]+)"/g), (m) => m[1]),
+    };
+    iconSources.set(name, source);
   }
+  return source;
 }
 
 /**
- * Invoked when user invokes a bound command (e.g. keyboard shortcut).
+ * Draw the "camera is live" overlay in the top right corner.
  *
- * @see https://developer.chrome.com/extensions/commands#event-onCommand
- * @param {string} command The command to run.
- * @param {!Tab} tab The active tab.
- * @private
+ * @param {!OffscreenCanvasRenderingContext2D} ctx The icon to draw on.
+ * @param {number} size The icon size.
+ * @param {string} theme The icon theme.
  */
-function onCommand(command, tab) {
-  logging.debug('onCommand', command, tab);
-
-  switch (command) {
-    default:
-      logging.error(`unknown command '${command}'`);
-      break;
-
-    case 'focus':
-      meetings.focus();
-      break;
+function drawVideoOverlay(ctx, size, theme) {
+  const r = size / 4;
+  const x = size - r;
+  const y = r;
+  ctx.fillStyle = '#d92f25';
+  ctx.beginPath();
+  ctx.arc(x, y, r, 0, 2 * Math.PI);
+  ctx.fill();
+  if (theme === 'high-contrast') {
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = size / 16;
+    ctx.stroke();
+  }
 
-    case 'mute-audio':
-      meetings.mute({audio: true});
-      break;
-    case 'unmute-audio':
-      meetings.unmute({audio: true});
-      break;
-    case 'toggle-mute-audio':
-      meetings.toggle({audio: true});
-      break;
-    case 'mute-both':
-      meetings.mute({audio: true, video: true});
-      break;
-    case 'unmute-both':
-      meetings.unmute({audio: true, video: true});
-      break;
-    case 'toggle-mute-both':
-      meetings.toggle({audio: true, video: true});
-      break;
-    case 'mute-video':
-      meetings.mute({video: true});
-      break;
-    case 'unmute-video':
-      meetings.unmute({video: true});
-      break;
-    case 'toggle-mute-video':
-      meetings.toggle({video: true});
-      break;
+  // A dot is all that's visible at small sizes.
+  if (size < 32) {
+    return;
   }
+  const u = r / 4;
+  ctx.fillStyle = 'white';
+  ctx.fillRect(x - 2.5 * u, y - 1.5 * u, 3.5 * u, 3 * u);
+  ctx.beginPath();
+  ctx.moveTo(x + u, y);
+  ctx.lineTo(x + 2.5 * u, y - 1.5 * u);
+  ctx.lineTo(x + 2.5 * u, y + 1.5 * u);
+  ctx.fill();
 }
 
 /**
- * Invoked when storage changes.
+ * Draw the "default meeting is pinned" overlay in the top left corner.
  *
- * @see https://developer.chrome.com/extensions/storage#event-onChanged
- * @param {!StorageChanges} changes
- * @private
+ * @param {!OffscreenCanvasRenderingContext2D} ctx The icon to draw on.
+ * @param {number} size The icon size.
  */
-function onStorageChanged(changes) {
-  logging.debug('onStorageChanged');
-
-  for (const [key, change] of Object.entries(changes)) {
-    logging.debug(
-      `storage '${key}' changed '${change.oldValue}' -> '${change.newValue}'`,
-    );
-
-    switch (key) {
-      case 'debug':
-        logging.setDebug(!!change.newValue);
-        logging.info(`debug changed to ${change.newValue}`);
-        break;
-
-      case 'autofocus':
-        autofocus = !!change.newValue;
-        break;
-
-      case 'action-behavior':
-        actionButtonBehavior = change.newValue;
-        break;
-    }
+function drawPreferOverlay(ctx, size) {
+  const r = size / 4;
+  ctx.fillStyle = '#f2c94c';
+  ctx.strokeStyle = 'black';
+  ctx.lineWidth = size / 32;
+  ctx.beginPath();
+  // A five pointed star.
+  for (let i = 0; i < 10; ++i) {
+    const radius = i % 2 ? r / 2 : r;
+    const angle = (i * Math.PI) / 5 - Math.PI / 2;
+    ctx.lineTo(r + radius * Math.cos(angle), r + radius * Math.sin(angle));
   }
-
-  badge.update();
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
 }
 
 /**
- * Invoked when storage is fetched.
+ * Render the toolbar icon for the current state.
  *
- * @see https://developer.chrome.com/extensions/storage#get
- * @param {!Object} settings All the user settings that exist.
- * @private
+ * @param {string} name The base icon name (e.g. mic-on).
+ * @param {!Object} state Which overlays to draw.
+ * @return {!Promise<!Object<number, !ImageData>>} The icon at all sizes.
  */
-function initSettings(settings) {
-  logging.init({page: 'background', debug: !!settings['debug']});
-  autofocus = !!settings['autofocus'];
-  actionButtonBehavior = settings['action-behavior'];
+async function renderIcon(name, {videoState, prefer, joined}) {
+  const source = await loadIconSource(name);
+  const theme = iconTheme in ICON_THEMES ? iconTheme : '';
+  const colors = Object.assign(
+    {bg: source.bg, fg: source.fg},
+    theme ? {bg: undefined} : {},
+    ICON_THEMES[theme][name],
+  );
+
+  const ret = {};
+  ICON_SIZES.forEach((size) => {
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    ctx.save();
+    // Fade meetings the user hasn't joined yet.
+    if (iconOverlays && !joined) {
+      ctx.globalAlpha = 0.6;
+    }
+    const scale = size / 24;
+    ctx.scale(scale, scale);
+    if (colors.bg) {
+      ctx.fillStyle = colors.bg;
+      ctx.beginPath();
+      ctx.arc(12, 12, colors.ring ? 11 : 12, 0, 2 * Math.PI);
+      ctx.fill();
+      if (colors.ring) {
+        ctx.strokeStyle = colors.ring;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+    }
+    ctx.fillStyle = colors.fg;
+    source.paths.forEach((d) => ctx.fill(new Path2D(d)));
+    ctx.restore();
+
+    if (videoState === Meetings.VIDEO_ON) {
+      drawVideoOverlay(ctx, size, theme);
+    }
+    if (iconOverlays && prefer) {
+      drawPreferOverlay(ctx, size);
+    }
+    ret[size] = ctx.getImageData(0, 0, size, size);
+  });
+  return ret;
 }
 
 /**
@@ -660,6 +3216,33 @@ function initSettings(settings) {
 class Badge {
   constructor() {
     this.popup = null;
+    /** @private {?number} Timer while flashing the badge. */
+    this.flashTimer_ = null;
+    /** @private {number} Used to drop out-of-order icon updates. */
+    this.iconGeneration_ = 0;
+  }
+
+  /**
+   * Briefly flash the badge to get the user's attention.
+   *
+   * @param {string} text The badge text to flash.
+   * @param {string} color The badge color to flash.
+   * @param {number=} count How many times to flash.
+   */
+  flash(text, color, count = 5) {
+    clearInterval(this.flashTimer_);
+    let remaining = count * 2;
+    this.flashTimer_ = setInterval(() => {
+      if (--remaining <= 0) {
+        clearInterval(this.flashTimer_);
+        this.flashTimer_ = null;
+      }
+      if (remaining % 2) {
+        this.set({text, color});
+      } else {
+        this.update();
+      }
+    }, 500);
   }
 
   /**
@@ -669,10 +3252,12 @@ class Badge {
    */
   set({icon, title, popup, text, color}) {
     if (icon !== undefined) {
-      if (typeof icon === 'string') {
-        icon = {19: `../images/${icon}-96.png`};
-      }
-      chrome.action.setIcon({path: icon});
+      this.setIcon_(icon, {
+        videoState: meetings.videoState,
+        prefer: meetings.default !== undefined,
+        // Only fade the icon when there are meetings to join.
+        joined: meetings.size === 0 || meetings.numActive > 0,
+      });
     }
     if (title !== undefined) {
       chrome.action.setTitle({title});
@@ -688,6 +3273,59 @@ class Badge {
     }
   }
 
+  /**
+   * Render & set the toolbar icon.
+   *
+   * @param {string} name The base icon name (e.g. mic-on).
+   * @param {!Object} state Which overlays to draw.
+   * @private
+   */
+  async setIcon_(name, state) {
+    const generation = ++this.iconGeneration_;
+    try {
+      const imageData = await renderIcon(name, state);
+      if (generation === this.iconGeneration_) {
+        chrome.action.setIcon({imageData});
+      }
+    } catch (e) {
+      logging.error(`unable to render icon '${name}'`, e);
+      chrome.action.setIcon({path: {19: `../images/${name}-96.png`}});
+    }
+  }
+
+  /**
+   * The badge text based on user prefs & meeting states.
+   *
+   * @return {string} The text to show.
+   */
+  get text() {
+    const size = meetings.size;
+    const numMuted = meetings.numAudioMuted;
+    switch (badgeText) {
+      default:
+        logging.warn(`Unknown badge text '${badgeText}'`);
+
+      case undefined:
+      case '':
+        // Only show the muted ratio when it isn't obvious from the icon.
+        if (numMuted === 0 || numMuted === size) {
+          return `${size}`;
+        }
+        return `${numMuted}/${size}`;
+
+      case 'muted':
+        return `${numMuted}/${size}`;
+
+      case 'video': {
+        const numVideoOn = meetings.numVideoOn;
+        return numVideoOn === 0 ? '' : `${numVideoOn}`;
+      }
+
+      case 'none':
+        return '';
+    }
+  }
+
   /**
    * The popup action based on user prefs & meeting states.
    *
@@ -730,9 +3368,10 @@ class Badge {
     if (this.popup) {
       onInternalPageMessage(this.popup, {command: 'list'});
     }
+    notifyExternal();
+    notifyNative();
 
     const state = meetings.state;
-    const size = meetings.size;
     const summary = meetings.summary;
 
     switch (state) {
@@ -749,29 +3388,32 @@ class Badge {
         });
         break;
 
-      case Meetings.UNMUTED: {
-        const numMuted = meetings.numAudioMuted;
-        const text = numMuted === 0 ? `${size}` : `${numMuted}/${size}`;
+      case Meetings.UNMUTED:
         this.set({
           icon: 'mic-on',
           title: summary,
           popup: this.popupAction,
-          text: text,
+          text: this.text,
           color: '#219653',
         });
         break;
-      }
 
       case Meetings.MUTED:
         this.set({
           icon: 'mic-off',
           title: summary,
           popup: this.popupAction,
-          text: `${size}`,
+          text: this.text,
           color: '#d92f25',
         });
         break;
     }
+
+    // Unread chat takes over the badge text when the user wants it.
+    const numUnreadChat = meetings.numUnreadChat;
+    if (chatBadge && numUnreadChat > 0) {
+      this.set({text: `✉${numUnreadChat}`, color: '#2f80ed'});
+    }
   }
 }
 
@@ -791,11 +3433,14 @@ function onContextMenu(info, tab = undefined) {
       meetings.focus();
       break;
 
+    case 'leave':
+      meetings.leave();
+      break;
+
     case 'clear-default': {
       const meeting = meetings.default;
       if (meeting) {
-        meeting.prefer = false;
-        badge.update();
+        meetings.setDefault(meeting.id, false);
       }
       break;
     }
@@ -816,8 +3461,6 @@ function initContextMenus() {
   // Remove any previous entries.  This comes up when reloading the page.
   chrome.contextMenus.removeAll();
 
-  chrome.contextMenus.onClicked.addListener(onContextMenu);
-
   /** @type {!Array<!chrome.contextMenus.CreateProperties>} */
   const entries = [
     {
@@ -826,6 +3469,12 @@ function initContextMenus() {
       title: 'Focus active meeting',
       contexts: ['action'],
     },
+    {
+      type: 'normal',
+      id: 'leave',
+      title: 'Leave active meeting',
+      contexts: ['action'],
+    },
     {
       type: 'normal',
       id: 'clear-default',
@@ -854,19 +3503,107 @@ const meetings = new Meetings();
 globalThis.badge = badge;
 globalThis.meetings = meetings;
 
+/**
+ * Load the user prefs & the state saved before the service worker restarted.
+ */
+async function loadState() {
+  const [settings, session] = await Promise.all([
+    chrome.storage.sync.get(),
+    chrome.storage.session.get({
+      meetings: [],
+      transcripts: [],
+      attendances: [],
+      audible: {tabs: [], mutedTabs: null},
+      pttTabs: [],
+    }),
+  ]);
+  savedMeetings = session.meetings;
+  session.pttTabs.forEach((tabId) => meetings.pttTabs.add(tabId));
+  session.audible.tabs.forEach((tabId) => audibleTabs.add(tabId));
+  if (session.audible.mutedTabs) {
+    audibleMutedTabs = new Set(session.audible.mutedTabs);
+  }
+  session.transcripts.forEach((saved) => Transcript.restore(saved));
+  session.attendances.forEach((saved) => Attendance.restore(saved));
+  initSettings(settings);
+}
+
+/** @const {!Promise} Resolves once the prefs & saved state are loaded. */
+const ready = loadState();
+
+/**
+ * Wrap an event listener so it only runs once we've loaded our state.
+ *
+ * Chrome only delivers the event that woke us up to listeners registered when
+ * the service worker first runs, so those can't wait on storage.  This returns
+ * true so message listeners may respond asynchronously.
+ *
+ * @param {function(...*)} listener The event listener.
+ * @return {function(...*): boolean} The wrapped listener.
+ */
+function whenReady(listener) {
+  return (...args) => {
+    ready.then(() => listener(...args));
+    return true;
+  };
+}
+
+/**
+ * Finish starting up once the prefs & saved state are loaded.
+ */
+function start() {
+  // If we restarted, give the meetings a chance to reconnect before we claim
+  // there are none.  Any that haven't by then are gone for good.
+  if (savedMeetings.length) {
+    setTimeout(() => {
+      savedMeetings = [];
+      pendingAutomation.clear();
+      meetings.persist();
+      badge.update();
+    }, 10000);
+  } else {
+    badge.update();
+  }
+  initContextMenus();
+  chrome.windows.getLastFocused((win) => {
+    if (lastWindowId === null) {
+      lastWindowId = win?.id ?? null;
+    }
+  });
+  updateIdleDetection();
+  updatePttScript();
+  updateNativeHost();
+}
+
 function init() {
-  badge.update();
   chrome.runtime.onConnect.addListener(onConnect);
-  chrome.action.onClicked.addListener(onActionClicked);
-  chrome.commands.onCommand.addListener(onCommand);
-  initContextMenus();
-  chrome.storage.sync.onChanged.addListener(onStorageChanged);
+  chrome.runtime.onMessageExternal.addListener(whenReady(onMessageExternal));
+  chrome.runtime.onConnectExternal.addListener(whenReady(onConnectExternal));
+  chrome.action.onClicked.addListener(whenReady(onActionClicked));
+  chrome.commands.onCommand.addListener(whenReady(onCommand));
+  chrome.omnibox.setDefaultSuggestion({
+    description: 'Meet: mute, unmute, toggle, focus, default, or leave',
+  });
+  chrome.omnibox.onInputChanged.addListener(whenReady(onOmniboxInputChanged));
+  chrome.omnibox.onInputEntered.addListener(whenReady(onOmniboxInputEntered));
+  chrome.contextMenus.onClicked.addListener(whenReady(onContextMenu));
+  chrome.storage.sync.onChanged.addListener(whenReady(onStorageChanged));
+  chrome.tabs.onUpdated.addListener(whenReady(onTabUpdated));
+  chrome.tabs.onRemoved.addListener(whenReady(onTabRemoved));
+  chrome.tabs.onActivated.addListener(whenReady(onTabActivated));
+  chrome.tabs.onAttached.addListener(whenReady(onTabAttached));
+  chrome.windows.onFocusChanged.addListener(whenReady(onWindowFocusChanged));
+  chrome.notifications.onClicked.addListener(whenReady(onNotificationClicked));
+  chrome.notifications.onButtonClicked.addListener(
+    whenReady(onNotificationButtonClicked),
+  );
+  chrome.alarms.onAlarm.addListener(whenReady(onAlarm));
+  chrome.idle.onStateChanged.addListener(whenReady(onIdleStateChanged));
+  chrome.permissions.onAdded.addListener(whenReady(onPermissionsAdded));
+  ready.then(start);
 }
 
 globalThis.addEventListener('error', (e) => {
   logging.error('unhandled error', e.error.stack);
 });
-chrome.storage.sync.get((settings) => {
-  initSettings(settings);
-  init();
-});
+init();
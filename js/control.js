@@ -8,6 +8,7 @@
  */
 
 import * as logging from './logging.js';
+import {formatDuration} from './util.js';
 
 /**
  * Callback when user selects a default meeting.
@@ -37,6 +38,69 @@ function focusOnClick(event) {
   postMessage('focus', {id: parseInt(element.id, 10)});
 }
 
+/** @type {boolean} Whether the user is renaming a meeting. */
+let renaming = false;
+
+/**
+ * Callback when user wants to rename a meeting.
+ *
+ * Swap the name for an input field.  Enter (or clicking elsewhere) saves the
+ * new name while Escape throws it away.  Clearing the name goes back to the
+ * meeting's own title.
+ *
+ * @param {!Event} event The user click.
+ */
+function renameOnClick(event) {
+  // Don't let the name cell focus the meeting.
+  event.stopPropagation();
+  const element = event.currentTarget;
+  logging.debug('renameOnClick', event);
+
+  const input = document.createElement('input');
+  input.value = element.dataset.alias;
+  input.placeholder = element.dataset.title;
+  input.onclick = (e) => e.stopPropagation();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    renaming = false;
+    if (save) {
+      postMessage('alias', {code: element.dataset.code, alias: input.value});
+    }
+    postMessage('list');
+  };
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      finish(true);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(false);
+    }
+  };
+  input.onblur = () => finish(true);
+
+  // Hold off on refreshes so we don't throw away the user's typing.
+  renaming = true;
+  element.parentElement.replaceChildren(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Callback when user wants to read the chat.
+ *
+ * @param {!Event} event The user click.
+ */
+function chatOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('chatOnClick', event);
+  postMessage('focus', {id: parseInt(element.id, 10)});
+}
+
 /**
  * Callback when user wants to toggle the microphone settings.
  *
@@ -61,6 +125,287 @@ function toggleVideoOnClick(event) {
   // Don't manually refresh as we'll wait for the pages to trigger updates.
 }
 
+/**
+ * Callback when user wants to leave the meeting.
+ *
+ * @param {!Event} event The user click.
+ */
+function leaveOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('leaveOnClick', event);
+  postMessage('leave', {id: parseInt(element.id, 10)});
+  // Don't manually refresh as we'll wait for the pages to disconnect.
+}
+
+/**
+ * Callback when user wants to raise/lower their hand.
+ *
+ * @param {!Event} event The user click.
+ */
+function handOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('handOnClick', event);
+  postMessage('hand', {
+    id: parseInt(element.id, 10),
+    raise: !element.classList.contains('raised'),
+  });
+  // Don't manually refresh as we'll wait for the pages to trigger updates.
+}
+
+/**
+ * Callback when user wants to send a reaction.
+ *
+ * @param {!Event} event The user click.
+ */
+function reactOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('reactOnClick', event);
+  postMessage('react', {
+    id: parseInt(element.parentElement.id, 10),
+    emoji: element.textContent,
+  });
+}
+
+/**
+ * Callback when user wants to start/stop capturing captions.
+ *
+ * @param {!Event} event The user click.
+ */
+function captionsOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('captionsOnClick', event);
+  postMessage('captions', {
+    id: parseInt(element.parentElement.id, 10),
+    enable: element.textContent === '☐',
+  });
+  // Don't manually refresh as we'll wait for the pages to trigger updates.
+}
+
+/**
+ * Callback when user wants to download the captions.
+ *
+ * @param {!Event} event The user click.
+ */
+function transcriptOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('transcriptOnClick', event);
+  postMessage('get-transcript', {
+    id: parseInt(element.dataset.transcript, 10),
+    format: element.dataset.format,
+  });
+}
+
+/**
+ * Callback when user wants to download the attendance log.
+ *
+ * @param {!Event} event The user click.
+ */
+function attendanceOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('attendanceOnClick', event);
+  postMessage('get-attendance', {
+    id: parseInt(element.dataset.attendance, 10),
+  });
+}
+
+/**
+ * Save a file (e.g. transcript) the background page sent us.
+ *
+ * @param {!Object} param The file details.
+ */
+function downloadFile({title, format, text}) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], {type: 'text/plain'}));
+  link.download = `${title}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * @const {!Map<string, !Array>} The bulk action buttons, and the command &
+ *     arguments they send.
+ */
+const bulkActions = new Map([
+  ['mute-all-audio', ['mute-all', {audio: true}]],
+  ['mute-all-video', ['mute-all', {video: true}]],
+  ['unmute-all-audio', ['unmute-all', {audio: true}]],
+  ['focus-default', ['focus-default']],
+  ['clear-default', ['clear-default']],
+]);
+
+/**
+ * Callback when user clicks one of the bulk action buttons.
+ *
+ * @param {!Event} event The user click.
+ */
+function bulkOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('bulkOnClick', event);
+  const [command, data] = bulkActions.get(element.id);
+  postMessage(command, data);
+  // Default state is internal, so refresh.  The pages trigger mute updates.
+  if (command === 'clear-default') {
+    postMessage('list');
+  }
+}
+
+/**
+ * Refresh the bulk actions bar.
+ *
+ * @param {!Array<!Object>} meetings Metadata about available meetings.
+ * @param {string} summary The summary of all the meetings.
+ */
+function updateBulk(meetings, summary) {
+  document.getElementById('summary').textContent = summary;
+  const prefer = meetings.some((meeting) => meeting.prefer);
+  document.getElementById('focus-default').disabled = !prefer;
+  document.getElementById('clear-default').disabled = !prefer;
+}
+
+/** @type {?number} The meeting the user selected (e.g. via the keyboard). */
+let selectedId = null;
+
+/**
+ * @const {!Map<string, string>} Keys that act on the selected meeting, and the
+ *     column whose click they emulate.
+ */
+const keyActions = new Map([
+  ['enter', 'name'],
+  ['m', 'audio'],
+  ['v', 'video'],
+  ['d', 'default'],
+  ['l', 'leave'],
+  ['r', 'name > .rename'],
+]);
+
+/**
+ * @return {!Array<!Node>} The rows of meetings (skipping window headers).
+ */
+function getRows() {
+  const tbody = document.getElementById('meetings').tBodies[0];
+  return tbody
+    ? Array.from(tbody.rows).filter((row) => row.dataset.id !== undefined)
+    : [];
+}
+
+/**
+ * Select (and focus) a meeting row.
+ *
+ * Only the selected row is in the tab order so tabbing in & out of the table
+ * is quick, while the arrow keys move around inside it.
+ *
+ * @param {!Node} row The row to select.
+ * @param {boolean=} focus Whether to move the keyboard focus to the row.
+ */
+function selectRow(row, focus = true) {
+  getRows().forEach((r) => {
+    r.tabIndex = r === row ? 0 : -1;
+    r.classList.toggle('selected', r === row);
+  });
+  if (focus) {
+    row.focus();
+  }
+  selectedId = parseInt(row.dataset.id, 10);
+}
+
+/**
+ * Callback when the user presses a key anywhere in the popup.
+ *
+ * @param {!KeyboardEvent} event The key press.
+ */
+function onKeyDown(event) {
+  if (event.ctrlKey || event.altKey || event.metaKey) {
+    return;
+  }
+  // Let the rename field have all the keys.
+  if (event.target.tagName === 'INPUT') {
+    return;
+  }
+
+  const rows = getRows();
+  if (rows.length === 0) {
+    return;
+  }
+  let index = Math.max(
+    0,
+    rows.findIndex((row) => parseInt(row.dataset.id, 10) === selectedId),
+  );
+
+  const key = event.key.toLowerCase();
+  // Let buttons (e.g. bulk actions) handle activation themselves.
+  if (event.target.tagName === 'BUTTON' && key === 'enter') {
+    return;
+  }
+
+  switch (key) {
+    case 'arrowdown':
+      index = Math.min(index + 1, rows.length - 1);
+      break;
+
+    case 'arrowup':
+      index = Math.max(index - 1, 0);
+      break;
+
+    case 'home':
+      index = 0;
+      break;
+
+    case 'end':
+      index = rows.length - 1;
+      break;
+
+    default: {
+      // Number keys jump to that row.
+      if (key.match(/^[1-9]$/)) {
+        const row = parseInt(key, 10) - 1;
+        if (row >= rows.length) {
+          return;
+        }
+        index = row;
+        break;
+      }
+
+      const action = keyActions.get(key);
+      if (action === undefined) {
+        return;
+      }
+      const cell = rows[index].querySelector(`td.${action}`);
+      if (cell?.onclick) {
+        logging.debug(`key '${key}' acting on ${action}`);
+        cell.click();
+      }
+      // Some actions (e.g. renaming) move the focus themselves, so leave it.
+      if (document.activeElement?.tagName === 'INPUT') {
+        event.preventDefault();
+        return;
+      }
+      break;
+    }
+  }
+
+  event.preventDefault();
+  selectRow(rows[index]);
+}
+
+/** @type {?number} The window the popup is showing in. */
+let currentWindowId = null;
+
+/**
+ * Refresh the time spent in each meeting.
+ *
+ * This runs every second so the durations tick along without needing the
+ * background page to send us updates.
+ */
+function updateDurations() {
+  const now = Date.now();
+  document.querySelectorAll('td.duration[data-join]').forEach((cell) => {
+    cell.textContent = formatDuration(now - parseInt(cell.dataset.join, 10));
+  });
+}
+
+/** @const {!Array<string>} The reactions we offer in the popup. */
+const reactions = ['💖', '👍', '🎉', '👏', '😂'];
+
 /**
  * Helper to create an image element for the mute/unmute status.
  *
@@ -83,6 +428,9 @@ function newImg(src, size = 16) {
 function updateList(meetings) {
   logging.debug('updating list', meetings);
   const table = document.getElementById('meetings');
+  // Only take the focus back if it was in the table before we rebuilt it, else
+  // we'd steal it from e.g. the bulk actions.
+  const hadFocus = table.contains(document.activeElement);
   const tbody = table.createTBody();
 
   // Clear out any previous tables of meetings as we have all fresh data.
@@ -90,9 +438,35 @@ function updateList(meetings) {
     table.tBodies[0].remove();
   }
 
-  meetings.forEach((meeting) => {
+  // Group the meetings by window, & then by their position in the window.
+  const sorted = meetings
+    .slice()
+    .sort((a, b) => a.windowId - b.windowId || a.tabIndex - b.tabIndex);
+  const numColumns = table.tHead.rows[0].cells.length;
+  let lastWindowId = null;
+  let numWindows = 0;
+
+  sorted.forEach((meeting) => {
+    // New header row for each window.
+    if (meeting.windowId !== lastWindowId) {
+      lastWindowId = meeting.windowId;
+      ++numWindows;
+      const header = tbody.insertRow();
+      header.className = 'window';
+      const cell = document.createElement('th');
+      cell.colSpan = numColumns;
+      cell.textContent =
+        meeting.windowId === currentWindowId
+          ? `Window ${numWindows} (this window)`
+          : `Window ${numWindows}`;
+      header.appendChild(cell);
+    }
+
     // New row for each meeting.
     const row = tbody.insertRow();
+    row.dataset.id = meeting.id;
+    row.tabIndex = -1;
+    row.addEventListener('click', () => selectRow(row));
 
     // The default column.
     const select = row.insertCell();
@@ -105,14 +479,73 @@ function updateList(meetings) {
     const link = row.insertCell();
     link.className = 'name';
     link.id = meeting.id;
-    link.textContent = meeting.title;
+    link.textContent = meeting.alias ?? meeting.title;
+    link.title = meeting.alias
+      ? `${meeting.title ?? meeting.code} (${meeting.code})`
+      : meeting.code;
     link.onclick = focusOnClick;
+    const rename = document.createElement('span');
+    rename.className = 'rename';
+    rename.textContent = '✎';
+    rename.title = 'Rename meeting';
+    rename.dataset.code = meeting.code;
+    rename.dataset.alias = meeting.alias ?? '';
+    rename.dataset.title = meeting.title ?? meeting.code;
+    rename.onclick = renameOnClick;
+    link.appendChild(rename);
+
+    // The meeting code column.
+    const code = row.insertCell();
+    code.className = 'code';
+    code.textContent = meeting.code;
+
+    // The tab position column.
+    const tab = row.insertCell();
+    tab.className = 'tab';
+    tab.textContent =
+      meeting.tabIndex === null ? '-' : `${meeting.tabIndex + 1}`;
+    if (meeting.audible) {
+      tab.textContent += ' 🔊';
+      tab.title = 'Tab is playing audio';
+    }
 
     // The active column.
     const active = row.insertCell();
     active.className = 'active';
     active.textContent = meeting.active ? '☑' : '-';
 
+    // The duration column.  Updated live by updateDurations.
+    const duration = row.insertCell();
+    duration.className = 'duration';
+    if (meeting.joinTime !== null) {
+      duration.dataset.join = meeting.joinTime;
+      duration.title = `Joined ${new Date(meeting.joinTime).toLocaleString()}`;
+      duration.textContent = formatDuration(meeting.duration);
+    } else {
+      duration.textContent = '-';
+    }
+
+    // The participants column.
+    const people = row.insertCell();
+    people.className = 'people';
+    people.textContent = meeting.participants ?? '-';
+    if (meeting.attendance !== null) {
+      people.title = 'Download attendance log';
+      people.dataset.attendance = meeting.attendance;
+      people.onclick = attendanceOnClick;
+    }
+
+    // The chat column.
+    const chat = row.insertCell();
+    chat.className = 'chat';
+    chat.id = meeting.id;
+    chat.textContent = meeting.unreadChat > 0 ? `✉ ${meeting.unreadChat}` : '-';
+    chat.classList.toggle('unread', meeting.unreadChat > 0);
+    if (meeting.lastChat) {
+      chat.title = meeting.lastChat;
+    }
+    chat.onclick = chatOnClick;
+
     // The audio settings column.
     const audio = row.insertCell();
     audio.className = 'audio';
@@ -130,7 +563,92 @@ function updateList(meetings) {
       meeting.videoMuted ? newImg('mic-off-96') : newImg('mic-on-96'),
     );
     video.onclick = toggleVideoOnClick;
+
+    // The hand column.  Can only raise hands once joined.
+    const hand = row.insertCell();
+    hand.className = 'hand';
+    hand.id = meeting.id;
+    if (meeting.active) {
+      hand.textContent = '✋';
+      hand.classList.toggle('raised', meeting.handRaised);
+      hand.title = meeting.handRaised ? 'Lower hand' : 'Raise hand';
+      hand.onclick = handOnClick;
+    } else {
+      hand.textContent = '-';
+    }
+
+    // The reactions column.  Can only react once joined.
+    const react = row.insertCell();
+    react.className = 'react';
+    react.id = meeting.id;
+    if (meeting.active) {
+      reactions.forEach((emoji) => {
+        const span = document.createElement('span');
+        span.textContent = emoji;
+        span.onclick = reactOnClick;
+        react.appendChild(span);
+      });
+    } else {
+      react.textContent = '-';
+    }
+
+    // The captions column.  Can only capture once joined.
+    const captions = row.insertCell();
+    captions.className = 'captions';
+    captions.id = meeting.id;
+    if (meeting.active) {
+      const toggle = document.createElement('span');
+      toggle.textContent = meeting.captions ? '☑' : '☐';
+      toggle.title = 'Capture captions';
+      toggle.onclick = captionsOnClick;
+      captions.appendChild(toggle);
+    } else {
+      captions.textContent = '-';
+    }
+    if (meeting.transcript !== null) {
+      [
+        ['txt', 'text'],
+        ['vtt', 'WebVTT'],
+      ].forEach(([format, name]) => {
+        const download = document.createElement('span');
+        download.className = 'download';
+        download.textContent = `⤓${format}`;
+        download.title = `Download transcript as ${name}`;
+        download.dataset.transcript = meeting.transcript;
+        download.dataset.format = format;
+        download.onclick = transcriptOnClick;
+        captions.appendChild(download);
+      });
+    }
+
+    // The leave column.  Can only hang up once joined.
+    const leave = row.insertCell();
+    leave.className = 'leave';
+    leave.id = meeting.id;
+    if (meeting.active) {
+      leave.textContent = '✖';
+      leave.title = 'Leave meeting';
+      leave.onclick = leaveOnClick;
+    } else {
+      leave.textContent = '-';
+    }
   });
+
+  // Keep the selection across refreshes, else pick the most likely meeting.
+  const rows = getRows();
+  const index = sorted.findIndex(({id}) => id === selectedId);
+  if (index !== -1) {
+    selectRow(rows[index], hadFocus);
+  } else if (rows.length) {
+    let likely = sorted.findIndex(({prefer}) => prefer);
+    if (likely === -1) {
+      likely = Math.max(
+        0,
+        sorted.findIndex(({active}) => active),
+      );
+    }
+    selectRow(rows[likely], hadFocus);
+  }
 }
 
 /**
@@ -146,8 +664,18 @@ function onMessage(message) {
       break;
 
     case 'list':
+      // We'll refresh once the user finishes renaming.
+      if (renaming) {
+        break;
+      }
+      updateBulk(message.meetings, message.summary);
       updateList(message.meetings);
       break;
+
+    case 'get-attendance':
+    case 'get-transcript':
+      downloadFile(message);
+      break;
   }
 }
 
@@ -166,8 +694,18 @@ function postMessage(command, data = {}) {
 const port = chrome.runtime.connect({name: 'control'});
 port.onMessage.addListener(onMessage);
 
-// Kick off a request to the background page for current meetings.
-postMessage('list');
+document.addEventListener('keydown', onKeyDown);
+bulkActions.forEach((_, id) => {
+  document.getElementById(id).onclick = bulkOnClick;
+});
+
+// Kick off a request to the background page for current meetings.  Figure out
+// which window we're in first so we can label it.
+chrome.windows.getCurrent((win) => {
+  currentWindowId = win?.id ?? null;
+  postMessage('list');
+});
+setInterval(updateDurations, 1000);
 
 /**
  * Invoked when storage is fetched.
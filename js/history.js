@@ -0,0 +1,184 @@
+// Copyright 2021 The Chromium OS Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+/**
+ * @fileoverview Code for the meeting history page.
+ * @suppress {moduleLoad} closure-compiler is buggy.
+ */
+
+import * as logging from './logging.js';
+import {csvQuote, formatDuration} from './util.js';
+
+/** @type {!Array<!Object>} All the meetings in the history. */
+let pastMeetings = [];
+
+/**
+ * @return {!Array<!Object>} The meetings matching the user's filter.
+ */
+function getFiltered() {
+  const filter = document.getElementById('filter').value.toLowerCase();
+  return pastMeetings.filter(
+    ({title, code}) =>
+      `${title}`.toLowerCase().includes(filter) ||
+      `${code}`.toLowerCase().includes(filter),
+  );
+}
+
+/**
+ * Callback when user clicks a meeting to rejoin it.
+ *
+ * @param {!Event} event The user click.
+ */
+function rejoinOnClick(event) {
+  const element = event.currentTarget;
+  logging.debug('rejoinOnClick', event);
+  chrome.tabs.create({url: `https://meet.google.com/${element.dataset.code}`});
+}
+
+/**
+ * Refresh the export link with the meetings being shown.
+ *
+ * @param {!Array<!Object>} entries The meetings to export.
+ */
+function updateExport(entries) {
+  const rows = ['Title,Code,Joined,Left,Duration'];
+  entries.forEach(({title, code, join, leave, duration}) => {
+    rows.push(
+      [
+        title,
+        code,
+        new Date(join).toISOString(),
+        new Date(leave).toISOString(),
+        formatDuration(duration),
+      ]
+        .map(csvQuote)
+        .join(','),
+    );
+  });
+
+  const link = document.getElementById('export');
+  if (link.href.startsWith('blob:')) {
+    URL.revokeObjectURL(link.href);
+  }
+  link.href = URL.createObjectURL(
+    new Blob([rows.join('\n') + '\n'], {type: 'text/csv'}),
+  );
+}
+
+/**
+ * Refresh the table of meetings.
+ */
+function updateList() {
+  const entries = getFiltered();
+  const tbody = document.getElementById('meetings').tBodies[0];
+  tbody.replaceChildren();
+
+  let total = 0;
+  // Show the most recent meetings first.
+  entries
+    .slice()
+    .reverse()
+    .forEach(({title, code, join, leave, duration}) => {
+      const row = tbody.insertRow();
+      total += duration;
+
+      const date = row.insertCell();
+      date.className = 'date';
+      date.textContent = new Date(join).toLocaleDateString();
+
+      const name = row.insertCell();
+      name.className = 'title';
+      name.textContent = title ?? code;
+      name.title = 'Rejoin meeting';
+      name.dataset.code = code;
+      name.onclick = rejoinOnClick;
+
+      const link = row.insertCell();
+      link.className = 'code';
+      link.textContent = code;
+      link.title = 'Rejoin meeting';
+      link.dataset.code = code;
+      link.onclick = rejoinOnClick;
+
+      const joined = row.insertCell();
+      joined.className = 'joined';
+      joined.textContent = new Date(join).toLocaleTimeString();
+
+      const left = row.insertCell();
+      left.className = 'left';
+      left.textContent = new Date(leave).toLocaleTimeString();
+
+      const time = row.insertCell();
+      time.className = 'duration';
+      time.textContent = formatDuration(duration);
+    });
+
+  const status = document.getElementById('status');
+  status.textContent = `${entries.length} meetings; ${formatDuration(total)}`;
+  updateExport(entries);
+}
+
+/**
+ * Callback when the user clicks the 'clear history' link.
+ *
+ * Require a second click to avoid accidents.
+ *
+ * @param {!Event} event The user click.
+ */
+function clearOnClick(event) {
+  event.preventDefault();
+  const element = event.currentTarget;
+  if (element.dataset.armed) {
+    chrome.storage.local.set({history: []});
+    delete element.dataset.armed;
+    element.textContent = 'Clear history';
+  } else {
+    element.dataset.armed = 'true';
+    element.textContent = 'Click again to clear';
+  }
+}
+
+/**
+ * Load the history from storage.
+ */
+function loadHistory() {
+  chrome.storage.local.get({history: []}, (items) => {
+    pastMeetings = items.history;
+    updateList();
+  });
+}
+
+/**
+ * Initialize the history page.
+ */
+function init() {
+  document.getElementById('filter').oninput = updateList;
+  document.getElementById('clear').onclick = clearOnClick;
+  loadHistory();
+}
+
+/**
+ * Invoked when storage is fetched.
+ *
+ * @see https://developer.chrome.com/extensions/storage#get
+ * @param {!Object} settings All the user settings that exist.
+ * @private
+ */
+function initSettings(settings) {
+  logging.init({page: 'history', port, debug: !!settings['debug']});
+}
+
+/** @const {!Port} The connection to the background page. */
+const port = chrome.runtime.connect({name: 'history'});
+
+window.addEventListener('DOMContentLoaded', init);
+window.addEventListener('error', (e) => {
+  logging.error('unhandled error', e.error.stack);
+});
+chrome.storage.sync.get(initSettings);
+chrome.storage.local.onChanged.addListener((changes) => {
+  if (changes.history) {
+    loadHistory();
+  }
+});
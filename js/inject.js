@@ -13,12 +13,33 @@
 /** @type {boolean} Whether to log debug messages. */
 let debugEnabled;
 
-/** @type {boolean} Whether user wants to mute audio by default. */
+/**
+ * @type {?boolean} Whether user wants to mute (true) or unmute (false) audio by
+ *     default.  Null leaves it alone.
+ */
 let defaultMuteAudio;
 
-/** @type {boolean} Whether user wants to mute video by default. */
+/**
+ * @type {?boolean} Whether user wants to mute (true) or unmute (false) video by
+ *     default.  Null leaves it alone.
+ */
 let defaultMuteVideo;
 
+/** @type {!Array<!Object>} User's per-meeting rules. */
+let meetingRules = [];
+
+/** @type {boolean} Whether we've applied the per-meeting rules. */
+let meetingRulesApplied = false;
+
+/** @type {?Object} The per-meeting rule that matched this meeting. */
+let meetingRule = null;
+
+/** @type {?string} The key (KeyboardEvent.code) to hold for push-to-talk. */
+let pttKey;
+
+/** @type {?number} When the user joined the meeting. */
+let joinTime = null;
+
 /**
  * Log a message.
  *
@@ -70,29 +91,788 @@ const hangupSelector = '.U26fgb.JRY2Pb.mUbCce.kpROve.GaONte';
 // Matches the internal state of the buttons (mute/etc...).
 const stateSelector = '.IYwVEf.nAZzG';
 
+/**
+ * Tooltip/label text for the controls in the locales we know about.
+ *
+ * These are matched against the aria-label & data-tooltip attributes which
+ * tend to be more stable than the obfuscated class names.
+ *
+ * @const {!Object<string, !Array<!RegExp>>}
+ */
+const labelPatterns = {
+  audio: [
+    /turn (on|off) microphone/i,
+    /(activer|désactiver) le micro/i,
+    /mikrofon (aktivieren|deaktivieren)/i,
+    /(activar|desactivar) (el )?micrófono/i,
+    /(ativar|desativar) (o )?microfone/i,
+    /マイクを(オン|オフ)/,
+  ],
+  video: [
+    /turn (on|off) camera/i,
+    /(activer|désactiver) la caméra/i,
+    /kamera (aktivieren|deaktivieren)/i,
+    /(activar|desactivar) (la )?cámara/i,
+    /(ativar|desativar) (a )?câmera/i,
+    /カメラを(オン|オフ)/,
+  ],
+  // The mic/cam labels that offer to turn them on, i.e. they're muted now.
+  muted: [
+    /turn on (microphone|camera)/i,
+    /\bactiver (le micro|la caméra)/i,
+    /(mikrofon|kamera) aktivieren/i,
+    /\bactivar (el )?(micrófono|cámara)/i,
+    /\bativar (o )?(microfone|câmera)/i,
+    /(マイク|カメラ)をオン/,
+  ],
+  hangup: [
+    /leave call/i,
+    /quitter l'appel/i,
+    /anruf verlassen/i,
+    /salir de la llamada/i,
+    /sair da chamada/i,
+    /通話から退出/,
+  ],
+  raiseHand: [
+    /raise hand/i,
+    /lever la main/i,
+    /hand heben/i,
+    /levantar la mano/i,
+    /levantar a mão/i,
+    /^挙手(?!を)/,
+  ],
+  lowerHand: [
+    /lower hand/i,
+    /baisser la main/i,
+    /hand senken/i,
+    /bajar la mano/i,
+    /abaixar a mão/i,
+    /挙手を(取り消す|下げる)/,
+  ],
+  captionsOn: [
+    /turn on captions/i,
+    /activer les sous-titres/i,
+    /untertitel aktivieren/i,
+    /activar (los )?subtítulos/i,
+    /ativar (as )?legendas/i,
+    /字幕をオン/,
+  ],
+  captionsOff: [
+    /turn off captions/i,
+    /désactiver les sous-titres/i,
+    /untertitel deaktivieren/i,
+    /desactivar (los )?subtítulos/i,
+    /desativar (as )?legendas/i,
+    /字幕をオフ/,
+  ],
+  captionsRegion: [
+    /captions/i,
+    /sous-titres/i,
+    /untertitel/i,
+    /subtítulos/i,
+    /legendas/i,
+    /字幕/,
+  ],
+  people: [
+    /show everyone/i,
+    /^people/i,
+    /afficher tout le monde/i,
+    /alle anzeigen/i,
+    /mostrar a todos/i,
+    /mostrar todos/i,
+    /全員を表示/,
+  ],
+  peopleRegion: [
+    /participants/i,
+    /^people/i,
+    /personnes/i,
+    /teilnehmer/i,
+    /personas/i,
+    /pessoas/i,
+    /ユーザー/,
+  ],
+  talkingMuted: [
+    /are you talking\?/i,
+    /your mic is off/i,
+    /vous parlez \?/i,
+    /sprechen sie\?/i,
+    /¿estás hablando\?/i,
+    /você está falando\?/i,
+    /話していますか/,
+  ],
+  chatRegion: [
+    /in-call messages/i,
+    /^chat/i,
+    /messages dans l'appel/i,
+    /nachrichten/i,
+    /mensajes/i,
+    /mensagens/i,
+    /チャット/,
+  ],
+  reactions: [
+    /send a reaction/i,
+    /envoyer une réaction/i,
+    /reaktion senden/i,
+    /enviar una reacción/i,
+    /enviar uma reação/i,
+    /リアクションを送信/,
+  ],
+};
+
+/**
+ * Get the label people see for a control.
+ *
+ * @param {!Node} ele The control.
+ * @return {string} The label, or an empty string.
+ */
+function getLabel(ele) {
+  return ele.getAttribute('aria-label') || ele.dataset.tooltip || '';
+}
+
+/**
+ * Find the first button whose label matches any of the patterns.
+ *
+ * @param {!Array<!RegExp>} patterns The labels to look for.
+ * @return {?Node} The matching button.
+ */
+function findByLabel(patterns) {
+  for (const ele of document.querySelectorAll('button, [role="button"]')) {
+    if (patterns.some((pattern) => pattern.test(getLabel(ele)))) {
+      return ele;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find a region (e.g. side panel) by its label.
+ *
+ * @param {!Array<!RegExp>} patterns The labels to look for.
+ * @return {?Node} The matching region.
+ */
+function findRegionByLabel(patterns) {
+  for (const ele of document.querySelectorAll('[role="region"][aria-label]')) {
+    const label = ele.getAttribute('aria-label');
+    if (patterns.some((pattern) => pattern.test(label))) {
+      return ele;
+    }
+  }
+  return null;
+}
+
+/**
+ * Class to find (and keep finding) the controls in the page.
+ *
+ * Google Meet regularly changes its UI & the obfuscated class/jsname values
+ * that go along with it.  Rather than rely on a single selector, we try a list
+ * of strategies in order of preference.  The first strategy to find both the
+ * mic & cam wins, as does the first strategy to find the hangup button.  If
+ * the nodes we found go away (e.g. Meet recreates them), we search again.
+ */
+class Locator {
+  constructor() {
+    /**
+     * @const {!Array<{name: string, find: function(): !Object}>} The ways to
+     *     find the controls, in order of preference.
+     */
+    this.strategies = [
+      {
+        // The original obfuscated selectors.  Precise, but fragile.
+        name: 'jsname',
+        find: () => {
+          const buttons = document.querySelectorAll(buttonSelector);
+          return {
+            audio: buttons[0],
+            video: buttons[1],
+            hangup: document.querySelector(hangupSelector),
+          };
+        },
+      },
+      {
+        // The mic/cam buttons expose their state via data attributes.
+        name: 'data-is-muted',
+        find: () => {
+          const buttons = document.querySelectorAll('[data-is-muted]');
+          return {audio: buttons[0], video: buttons[1]};
+        },
+      },
+      {
+        name: 'aria-label',
+        find: () => ({
+          audio: findByLabel(labelPatterns.audio),
+          video: findByLabel(labelPatterns.video),
+          hangup: findByLabel(labelPatterns.hangup),
+        }),
+      },
+    ];
+    this.reset();
+    /** @type {?string} The strategy last reported to the background. */
+    this.reported_ = null;
+  }
+
+  /**
+   * Forget all the nodes we've found so the next lookup searches again.
+   */
+  reset() {
+    this.audio_ = null;
+    this.video_ = null;
+    this.hangup_ = null;
+    /** @type {?string} The strategy that found the mic/cam. */
+    this.strategy = null;
+    /** @type {?string} The strategy that found the hangup button. */
+    this.hangupStrategy = null;
+  }
+
+  /**
+   * Run through all the strategies to find the controls.
+   */
+  locate() {
+    this.reset();
+    for (const {name, find} of this.strategies) {
+      let found;
+      try {
+        found = find();
+      } catch (e) {
+        dbg(`locator strategy '${name}' failed`, e);
+        continue;
+      }
+
+      if (!this.strategy && found.audio && found.video) {
+        this.audio_ = found.audio;
+        this.video_ = found.video;
+        this.strategy = name;
+      }
+      if (!this.hangupStrategy && found.hangup) {
+        this.hangup_ = found.hangup;
+        this.hangupStrategy = name;
+      }
+      if (this.strategy && this.hangupStrategy) {
+        break;
+      }
+    }
+
+    this.report_();
+  }
+
+  /**
+   * Resend the strategy to the background page (e.g. after reconnecting).
+   */
+  reannounce() {
+    this.reported_ = null;
+    this.report_();
+  }
+
+  /**
+   * Let the background page know when the strategy changes.
+   *
+   * @private
+   */
+  report_() {
+    const key = `${this.strategy}:${this.hangupStrategy}`;
+    if (this.reported_ === key || !connection.port) {
+      return;
+    }
+    this.reported_ = key;
+    connection.send('locator', {
+      strategy: this.strategy,
+      hangupStrategy: this.hangupStrategy,
+    });
+  }
+
+  /** @return {?Node} The Node for controlling the microphone. */
+  get audio() {
+    if (!this.audio_?.isConnected) {
+      this.locate();
+    }
+    return this.audio_;
+  }
+
+  /** @return {?Node} The Node for controlling the camera. */
+  get video() {
+    if (!this.video_?.isConnected) {
+      this.locate();
+    }
+    return this.video_;
+  }
+
+  /** @return {?Node} The Node for leaving the meeting. */
+  get hangup() {
+    if (!this.hangup_?.isConnected) {
+      this.locate();
+    }
+    return this.hangup_;
+  }
+}
+
+/** @const */
+const locator = new Locator();
+
+/**
+ * Whether the mic/cam control is currently muted.
+ *
+ * Older UIs put the state on the button itself, but some strategies find a
+ * wrapper node, so check its children too.  Controls found by their label
+ * might not have the attribute at all, so fall back to what the label offers
+ * to do: "Turn on microphone" means it's off right now.
+ *
+ * @param {?Node} ele The control to check.
+ * @return {boolean}
+ */
+function isMuted(ele) {
+  if (!ele) {
+    return false;
+  }
+  const state =
+    ele.dataset.isMuted ??
+    ele.querySelector('[data-is-muted]')?.dataset.isMuted;
+  if (state !== undefined) {
+    return state === 'true';
+  }
+  const label = getLabel(ele);
+  return labelPatterns.muted.some((pattern) => pattern.test(label));
+}
+
 /** @return {?Node} The Node for controlling the microphone. */
 function getAudioElement() {
-  return document.querySelectorAll(buttonSelector)[0];
+  return locator.audio;
 }
 
 /** @return {?Node} The Node for monitoring the microphone state. */
 function getAudioTracker() {
-  return getAudioElement()?.querySelector(stateSelector);
+  const audio = getAudioElement();
+  return audio?.querySelector(stateSelector) ?? audio;
 }
 
 /** @return {?Node} The Node for controlling the camera. */
 function getVideoElement() {
-  return document.querySelectorAll(buttonSelector)[1];
+  return locator.video;
 }
 
 /** @return {?Node} The Node for monitoring the camera state. */
 function getVideoTracker() {
-  return getVideoElement()?.querySelector(stateSelector);
+  const video = getVideoElement();
+  return video?.querySelector(stateSelector) ?? video;
 }
 
 /** @return {?Node} The Node for leaving the meeting. */
 function getHangupElement() {
-  return document.querySelector(hangupSelector);
+  return locator.hangup;
+}
+
+/** @return {?Node} The Node for raising/lowering the hand. */
+function getHandElement() {
+  return (
+    findByLabel(labelPatterns.lowerHand) ?? findByLabel(labelPatterns.raiseHand)
+  );
+}
+
+/** @return {boolean} Whether the user's hand is raised. */
+function isHandRaised() {
+  const hand = getHandElement();
+  if (!hand) {
+    return false;
+  }
+  const pressed = hand.getAttribute('aria-pressed');
+  if (pressed !== null) {
+    return pressed === 'true';
+  }
+  // The button flips its label when the hand is up.
+  return findByLabel(labelPatterns.lowerHand) === hand;
+}
+
+/**
+ * Find the button for a specific reaction.
+ *
+ * @param {string} emoji The reaction to find.
+ * @return {?Node} The reaction button if it's visible.
+ */
+function findReaction(emoji) {
+  const ele = document.querySelector(`[data-emoji="${CSS.escape(emoji)}"]`);
+  if (ele) {
+    return ele;
+  }
+  for (const ele of document.querySelectorAll('button, [role="button"]')) {
+    if (
+      ele.getAttribute('aria-label') === emoji ||
+      ele.textContent.trim() === emoji
+    ) {
+      return ele;
+    }
+  }
+  return null;
+}
+
+// The captions region & its parts from older UIs.
+const captionsRegionSelector = '.a4cQT';
+const captionsSpeakerSelector = '.zs7s8d, .KcIKyf';
+
+/** @return {?Node} The Node for turning captions on/off. */
+function getCaptionsElement() {
+  return (
+    findByLabel(labelPatterns.captionsOff) ??
+    findByLabel(labelPatterns.captionsOn)
+  );
+}
+
+/** @return {boolean} Whether Meet is showing captions. */
+function isCaptionsOn() {
+  const button = getCaptionsElement();
+  if (!button) {
+    return false;
+  }
+  const pressed = button.getAttribute('aria-pressed');
+  if (pressed !== null) {
+    return pressed === 'true';
+  }
+  return findByLabel(labelPatterns.captionsOff) === button;
+}
+
+/** @return {?Node} The Node holding all the live captions. */
+function getCaptionsRegion() {
+  return (
+    findRegionByLabel(labelPatterns.captionsRegion) ??
+    document.querySelector(captionsRegionSelector)
+  );
+}
+
+/**
+ * Get the per-speaker blocks in the captions region.
+ *
+ * Meet wraps the blocks in a varying number of containers, so skip those.
+ *
+ * @param {!Node} region The captions region.
+ * @return {!Array<!Node>} The blocks.
+ */
+function getCaptionBlocks(region) {
+  let container = region;
+  while (container.children.length === 1) {
+    container = container.firstElementChild;
+  }
+  return Array.from(container.children);
+}
+
+/**
+ * Split a caption block into the speaker & what they said.
+ *
+ * @param {!Node} block A single caption block.
+ * @return {{speaker: string, text: string}}
+ */
+function parseCaptionBlock(block) {
+  const speaker =
+    block.querySelector(captionsSpeakerSelector)?.textContent.trim() ?? '';
+  let text = block.textContent.trim();
+  if (speaker && text.startsWith(speaker)) {
+    text = text.substr(speaker.length).trim();
+  }
+  return {speaker, text};
+}
+
+/**
+ * Merge the latest text of a caption block with what we've seen so far.
+ *
+ * Meet keeps rewriting the same block as someone speaks: it grows as words
+ * come in, and once it gets long, the oldest words are dropped from the front.
+ * So look for where the new text overlaps the end of the old text.
+ *
+ * @param {string} prev The text we've accumulated.
+ * @param {string} next The text currently displayed.
+ * @return {string} The merged text.
+ */
+function mergeCaption(prev, next) {
+  if (next.startsWith(prev)) {
+    return next;
+  }
+  if (prev.includes(next)) {
+    return prev;
+  }
+  // Require a decent overlap so we don't glue unrelated text together.
+  for (let i = Math.min(prev.length, next.length); i >= 10; --i) {
+    if (prev.endsWith(next.substr(0, i))) {
+      return prev + next.substr(i);
+    }
+  }
+  // Probably Meet corrected itself, so trust the latest text.
+  return next;
+}
+
+/** @type {?MutationObserver} Observe changes to the captions. */
+let captionObserver = null;
+
+/** @type {!WeakMap<!Node, !Object>} Caption blocks & the lines they make. */
+let captionLines = new WeakMap();
+
+/** @type {number} Unique (to this page) id for each caption line. */
+let nextCaptionId = 0;
+
+/**
+ * Callback when the captions change.
+ *
+ * Send the lines that changed to the background page.
+ */
+function onCaptionMutations() {
+  const region = getCaptionsRegion();
+  if (!region) {
+    return;
+  }
+
+  for (const block of getCaptionBlocks(region)) {
+    const {speaker, text} = parseCaptionBlock(block);
+    if (!text) {
+      continue;
+    }
+
+    let line = captionLines.get(block);
+    if (!line) {
+      line = {id: nextCaptionId++, speaker, text: '', time: Date.now()};
+      captionLines.set(block, line);
+    }
+
+    const merged = mergeCaption(line.text, text);
+    if (merged === line.text && (!speaker || speaker === line.speaker)) {
+      continue;
+    }
+    line.text = merged;
+    line.speaker = speaker || line.speaker;
+    connection.send('caption', line);
+  }
+}
+
+/**
+ * Stop watching the captions.
+ */
+function stopCaptions() {
+  if (captionObserver) {
+    captionObserver.disconnect();
+    captionObserver = null;
+    captionLines = new WeakMap();
+    connection.send('captions', {enabled: false});
+  }
+}
+
+// The name in a participant tile from older UIs.
+const tileNameSelector = '[data-self-name], .zWGUib';
+
+/**
+ * Get the people in the meeting.
+ *
+ * The people panel lists everyone, but only while it's open.  Otherwise we
+ * fall back to the video tiles which might not show everyone in big meetings,
+ * but the people button has a count badge that we can use for the total.
+ *
+ * @return {{count: number, names: !Array<string>}}
+ */
+function getRoster() {
+  const names = new Set();
+
+  const panel = findRegionByLabel(labelPatterns.peopleRegion);
+  if (panel) {
+    for (const item of panel.querySelectorAll('[role="listitem"]')) {
+      const name =
+        item.getAttribute('aria-label') ??
+        item.querySelector(tileNameSelector)?.textContent;
+      if (name?.trim()) {
+        names.add(name.trim());
+      }
+    }
+  }
+
+  if (names.size === 0) {
+    for (const tile of document.querySelectorAll('[data-participant-id]')) {
+      const name = tile.querySelector(tileNameSelector)?.textContent;
+      if (name?.trim()) {
+        names.add(name.trim());
+      }
+    }
+  }
+
+  const badge = findByLabel(labelPatterns.people)?.textContent.match(/\d+/);
+  const count = Math.max(names.size, badge ? parseInt(badge[0], 10) : 0);
+  return {count, names: Array.from(names).sort()};
+}
+
+/** @type {?number} Timer for checking the roster. */
+let rosterTimer = null;
+
+/** @type {string} The last roster we sent to the background page. */
+let lastRoster = '';
+
+/**
+ * Send the roster to the background page if it changed.
+ */
+function updateRoster() {
+  const roster = getRoster();
+  const key = JSON.stringify(roster);
+  if (key !== lastRoster) {
+    lastRoster = key;
+    connection.send('roster', roster);
+  }
+}
+
+/**
+ * Start/stop checking the roster.
+ *
+ * People come & go all the time, and the tiles get shuffled as they talk, so
+ * rather than watch all that churn, just check periodically.
+ *
+ * @param {boolean} enable Whether to watch.
+ */
+function watchRoster(enable) {
+  if (rosterTimer !== null) {
+    clearInterval(rosterTimer);
+    rosterTimer = null;
+  }
+  if (enable) {
+    updateRoster();
+    rosterTimer = setInterval(updateRoster, 5000);
+  }
+}
+
+/**
+ * Whether Meet is showing the "are you talking while muted" hint.
+ *
+ * @return {boolean}
+ */
+function isTalkingWhileMuted() {
+  const selector = '[aria-live], [role="alert"], [role="status"]';
+  for (const ele of document.querySelectorAll(selector)) {
+    const text = ele.textContent;
+    if (labelPatterns.talkingMuted.some((pattern) => pattern.test(text))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/** @type {?number} Timer for checking for the talking while muted hint. */
+let talkingTimer = null;
+
+/** @type {boolean} Whether the hint was showing at the last check. */
+let talkingShown = false;
+
+/**
+ * Let the background page know when Meet thinks we're talking while muted.
+ *
+ * The hint sticks around for a few seconds, so only send once per showing.
+ */
+function checkTalkingWhileMuted() {
+  const shown = isMuted(getAudioElement()) && isTalkingWhileMuted();
+  if (shown && !talkingShown) {
+    dbg('talking while muted');
+    connection.send('talking');
+  }
+  talkingShown = shown;
+}
+
+/**
+ * Start/stop checking for the talking while muted hint.
+ *
+ * The hint is transient & lives in a part of the page that churns a lot, so
+ * rather than watch all of it, just check periodically.
+ *
+ * @param {boolean} enable Whether to watch.
+ */
+function watchTalkingWhileMuted(enable) {
+  if (talkingTimer !== null) {
+    clearInterval(talkingTimer);
+    talkingTimer = null;
+  }
+  if (enable) {
+    talkingTimer = setInterval(checkTalkingWhileMuted, 1000);
+  }
+}
+
+// The chat messages & who sent them.  These show up in both the chat panel
+// and the popup bubbles when the panel is closed.
+const chatMessageSelector = '[data-message-id]';
+const chatSenderSelector = '[data-sender-name]';
+
+/**
+ * Split a chat message into the sender & what they said.
+ *
+ * @param {!Node} ele The chat message.
+ * @return {{sender: string, text: string}}
+ */
+function parseChatMessage(ele) {
+  return {
+    sender: ele.closest(chatSenderSelector)?.dataset.senderName ?? '',
+    text: ele.textContent.trim(),
+  };
+}
+
+/** @type {?number} Timer for checking the chat. */
+let chatTimer = null;
+
+/** @type {?Set<string>} The chat messages we've already seen. */
+let chatSeen = null;
+
+/** @type {number} How many messages came in while the chat was closed. */
+let chatUnread = 0;
+
+/**
+ * Let the background page know about new chat messages.
+ *
+ * Messages that arrive while the chat panel is closed count as unread until
+ * the user opens it.
+ */
+function checkChat() {
+  const open = !!findRegionByLabel(labelPatterns.chatRegion);
+
+  // Don't count the messages that were there when we started.
+  const first = chatSeen === null;
+  if (first) {
+    chatSeen = new Set();
+  }
+
+  let fresh = 0;
+  let latest = null;
+  for (const ele of document.querySelectorAll(chatMessageSelector)) {
+    const id = ele.dataset.messageId;
+    if (chatSeen.has(id)) {
+      continue;
+    }
+    chatSeen.add(id);
+    if (!first) {
+      ++fresh;
+      latest = ele;
+    }
+  }
+
+  const unread = open ? 0 : chatUnread + fresh;
+  if (unread === chatUnread && fresh === 0) {
+    return;
+  }
+  chatUnread = unread;
+
+  const message = {unread, visible: open && !document.hidden};
+  if (latest) {
+    Object.assign(message, parseChatMessage(latest));
+  }
+  connection.send('chat', message);
+}
+
+/**
+ * Start/stop checking the chat.
+ *
+ * @param {boolean} enable Whether to watch.
+ */
+function watchChat(enable) {
+  if (chatTimer !== null) {
+    clearInterval(chatTimer);
+    chatTimer = null;
+  }
+  if (enable) {
+    checkChat();
+    chatTimer = setInterval(checkChat, 2000);
+  }
+}
+
+/** @return {!Object} The current meeting state for the background page. */
+function getMeetingState() {
+  return {
+    audioMuted: isMuted(getAudioElement()),
+    videoMuted: isMuted(getVideoElement()),
+    handRaised: isHandRaised(),
+  };
 }
 
 /**
@@ -120,7 +900,7 @@ function commandToggle({audio, video}) {
  */
 function commandMute({audio, video}) {
   function act(ele) {
-    if (ele.dataset.isMuted !== 'true') {
+    if (!isMuted(ele)) {
       ele.click();
     }
   }
@@ -140,7 +920,7 @@ function commandMute({audio, video}) {
  */
 function commandUnmute({audio, video}) {
   function act(ele) {
-    if (ele.dataset.isMuted === 'true') {
+    if (isMuted(ele)) {
       ele.click();
     }
   }
@@ -153,11 +933,129 @@ function commandUnmute({audio, video}) {
   }
 }
 
+/**
+ * Leave (hang up) the meeting.
+ *
+ * Any confirmation has already been handled by the background.
+ */
+function commandLeave() {
+  const hangup = getHangupElement();
+  if (!hangup) {
+    dbg('unable to leave: no hangup button found');
+    return;
+  }
+
+  hangup.click();
+}
+
+/**
+ * Start/stop capturing captions.
+ *
+ * We turn on Meet's captions if needed, then watch them for changes.
+ *
+ * @param {!Object} param Whether to capture.
+ */
+async function commandCaptions({enable}) {
+  if (!enable) {
+    stopCaptions();
+    if (isCaptionsOn()) {
+      getCaptionsElement().click();
+    }
+    return;
+  }
+
+  if (captionObserver) {
+    return;
+  }
+
+  if (!isCaptionsOn()) {
+    const button = getCaptionsElement();
+    if (!button) {
+      dbg('unable to capture captions: no captions button found');
+      return;
+    }
+    button.click();
+  }
+
+  // Give the captions region a few seconds to show up.
+  let region;
+  for (let i = 0; i < 10; ++i) {
+    region = getCaptionsRegion();
+    if (region) {
+      break;
+    }
+    await sleep(500);
+  }
+  if (!region) {
+    dbg('unable to capture captions: no captions region found');
+    return;
+  }
+
+  captionObserver = new MutationObserver(onCaptionMutations);
+  captionObserver.observe(region, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+  });
+  connection.send('captions', {enabled: true});
+}
+
+/**
+ * Raise the user's hand.
+ */
+function commandRaiseHand() {
+  if (!isHandRaised()) {
+    getHandElement()?.click();
+  }
+}
+
+/**
+ * Lower the user's hand.
+ */
+function commandLowerHand() {
+  if (isHandRaised()) {
+    getHandElement()?.click();
+  }
+}
+
+/**
+ * Send a reaction.
+ *
+ * The reactions are hidden behind a toolbar button, so open it if needed.
+ *
+ * @param {!Object} param The reaction to send.
+ */
+async function commandReact({emoji}) {
+  let button = findReaction(emoji);
+  if (!button) {
+    const toggle = findByLabel(labelPatterns.reactions);
+    if (!toggle) {
+      dbg('unable to react: no reactions button found');
+      return;
+    }
+    toggle.click();
+    // Give the reaction bar a moment to render.
+    await sleep(500);
+    button = findReaction(emoji);
+  }
+
+  if (button) {
+    button.click();
+  } else {
+    dbg(`unable to react: no '${emoji}' reaction found`);
+  }
+}
+
 /**
  * @const {!Map<string, function(!Object)} The valid set of commands.
  */
 const commands = new Map([
+  ['captions', commandCaptions],
+  ['leave', commandLeave],
+  ['lower-hand', commandLowerHand],
   ['mute', commandMute],
+  ['raise-hand', commandRaiseHand],
+  ['react', commandReact],
   ['toggle', commandToggle],
   ['unmute', commandUnmute],
 ]);
@@ -197,24 +1095,32 @@ function onMutations(mutations, observer) {
   // find the DOM nodes faster & attempt to set the default once, but then the
   // Google Meet code runs after and unmutes on us.  This hack should be good
   // enough to handle the common/slow scenarios.
-  if (defaultMuteAudio || defaultMuteVideo) {
+  if (defaultMuteAudio !== null || defaultMuteVideo !== null) {
     defaultMuteMeeting();
   }
 
-  const audio = getAudioElement();
-  const video = getVideoElement();
-  connection.send('update', {
-    audioMuted: audio.dataset.isMuted === 'true',
-    videoMuted: video.dataset.isMuted === 'true',
-  });
+  connection.send('update', getMeetingState());
 }
 
 /**
  * Class to handle the life cycle of the connection to the background page.
  */
 class Connection {
-  constructor() {
+  /**
+   * @param {function()} onReconnect Callback after reconnecting.
+   */
+  constructor(onReconnect) {
     this.port = null;
+    /** @private {function()} */
+    this.onReconnect_ = onReconnect;
+    /** @private {boolean} Whether we want to stay connected. */
+    this.closed_ = false;
+    /** @private {number} How many times we've tried to reconnect. */
+    this.retries_ = 0;
+    /** @private {?number} Timer for the next reconnect attempt. */
+    this.timer_ = null;
+    /** @private {!Array<!Object>} Messages to send once reconnected. */
+    this.queue_ = [];
   }
 
   /**
@@ -232,6 +1138,9 @@ class Connection {
    * Break the connection to the background page.
    */
   disconnect() {
+    this.closed_ = true;
+    this.queue_ = [];
+    clearTimeout(this.timer_);
     if (this.port) {
       this.port.disconnect();
       this.port = null;
@@ -241,23 +1150,86 @@ class Connection {
   /**
    * Try to reconnect to the background page.
    *
-   * NB: This is a bit optimistic.  Chrome doesn't seem to allow this.
+   * The background service worker is unloaded by Chrome when idle (or when it
+   * is updated), which drops our port.  Keep trying with a backoff, then resend
+   * our state as a new worker doesn't know anything about us.
    */
   reconnect() {
     dbg('disconnected ...');
-    this.disconnect();
-    this.connect();
+    this.port = null;
+    if (this.closed_) {
+      return;
+    }
+
+    const delay = Math.min(1000 * 2 ** this.retries_++, 30000);
+    this.timer_ = setTimeout(() => {
+      try {
+        this.connect();
+      } catch (e) {
+        // The extension was reloaded or removed, so there's nothing to talk to.
+        console.warn('unable to reconnect', e);
+        this.closed_ = true;
+        return;
+      }
+
+      dbg(`reconnected after ${this.retries_} tries`);
+      this.retries_ = 0;
+      const queue = this.queue_;
+      this.queue_ = [];
+      queue.forEach((message) => this.port.postMessage(message));
+      this.onReconnect_();
+    }, delay);
   }
 
   /**
    * Helper to send a message to the background page.
    *
+   * If we're between connections, hold on to it until we reconnect.
+   *
    * @param {string} command The command to send.
    * @param {!Object=} data The command arguments.
    */
   send(command, data = {}) {
     const message = Object.assign({}, data, {command});
-    this.port.postMessage(message);
+    if (this.port) {
+      this.port.postMessage(message);
+    } else if (!this.closed_) {
+      this.queue_.push(message);
+      // Don't hold on to too much if the background page never comes back.
+      if (this.queue_.length > 1000) {
+        this.queue_.shift();
+      }
+    }
+  }
+}
+
+/**
+ * Resend our full state to the background page.
+ *
+ * Used after reconnecting as the background page might have restarted & lost
+ * everything it knew about us.
+ */
+function announceState() {
+  if (meetingRule) {
+    connection.send('rule', meetingRule);
+  }
+  if (joinTime !== null) {
+    connection.send('joined', {time: joinTime});
+  }
+  if (getAudioElement() && getVideoElement()) {
+    connection.send(
+      'update',
+      Object.assign({title: document.title}, getMeetingState()),
+    );
+  }
+  locator.reannounce();
+  if (captionObserver) {
+    connection.send('captions', {enabled: true});
+  }
+  // Let the next check resend it.
+  lastRoster = '';
+  if (chatUnread) {
+    connection.send('chat', {unread: chatUnread, visible: false});
   }
 }
 
@@ -306,7 +1278,7 @@ async function showPopup(parent, message) {
 }
 
 /** @const */
-const connection = new Connection();
+const connection = new Connection(announceState);
 connection.connect();
 // Export for debugging.
 globalThis.connection = connection;
@@ -318,27 +1290,150 @@ let observer;
  * Process user's default mute settings.
  */
 function defaultMuteMeeting() {
-  if (defaultMuteAudio) {
+  if (defaultMuteAudio !== null) {
     const audio = getAudioElement();
-    if (audio.dataset.isMuted !== 'true') {
+    if (isMuted(audio) !== defaultMuteAudio) {
       audio.click();
-      showPopup(audio, 'Audio\nmuted\nby\ndefault');
+      const state = defaultMuteAudio ? 'muted' : 'unmuted';
+      showPopup(audio, `Audio\n${state}\nby\ndefault`);
       // Since we only need to do this once at startup, clear the pref.
       // This way we can call this func multiple times.
-      defaultMuteAudio = false;
+      defaultMuteAudio = null;
+    } else if (audio && !defaultMuteAudio) {
+      // Already live.  Meet only starts out muted, never live, so this is the
+      // settled state, & we must not undo the user muting it later.
+      defaultMuteAudio = null;
     }
   }
 
-  if (defaultMuteVideo) {
+  if (defaultMuteVideo !== null) {
     const video = getVideoElement();
-    if (video.dataset.isMuted !== 'true') {
+    if (isMuted(video) !== defaultMuteVideo) {
       video.click();
-      showPopup(video, 'Video\nmuted\nby\ndefault');
+      const state = defaultMuteVideo ? 'muted' : 'unmuted';
+      showPopup(video, `Video\n${state}\nby\ndefault`);
       // Since we only need to do this once at startup, clear the pref.
       // This way we can call this func multiple times.
-      defaultMuteVideo = false;
+      defaultMuteVideo = null;
+    } else if (video && !defaultMuteVideo) {
+      // Already live.  Meet only starts out muted, never live, so this is the
+      // settled state, & we must not undo the user muting it later.
+      defaultMuteVideo = null;
+    }
+  }
+}
+
+/**
+ * Find the user's rule for this meeting.
+ *
+ * Rules match either the meeting code exactly, or the title as a regex.  The
+ * first matching rule wins.
+ *
+ * @return {?Object} The matching rule.
+ */
+function findMeetingRule() {
+  const code = document.location.pathname.replace(/^\//, '');
+  const title = document.title.replace(/^Meet - /, '');
+  return (
+    meetingRules.find(({type, match}) => {
+      if (!match) {
+        return false;
+      }
+      if (type === 'title') {
+        try {
+          return new RegExp(match, 'i').test(title);
+        } catch (e) {
+          log('warn', `invalid title rule '${match}'`, e);
+          return false;
+        }
+      }
+      return match.replace(/^\//, '') === code;
+    }) ?? null
+  );
+}
+
+/**
+ * Apply the user's rule for this meeting (if any).
+ *
+ * This has to wait until the page has settled so the title is available, but
+ * still happen before we process the default mute settings.
+ */
+function applyMeetingRule() {
+  if (meetingRulesApplied) {
+    return;
+  }
+  meetingRulesApplied = true;
+
+  const rule = findMeetingRule();
+  if (!rule) {
+    return;
+  }
+  dbg('applying meeting rule', rule);
+  meetingRule = rule;
+
+  // Map the rule settings to our mute prefs: '' means use the global pref.
+  const mute = {mute: true, unmute: false};
+  if (rule.audio in mute) {
+    defaultMuteAudio = mute[rule.audio];
+  }
+  if (rule.video in mute) {
+    defaultMuteVideo = mute[rule.video];
+  }
+
+  // The rest (autofocus/automation/etc...) is handled by the background page.
+  connection.send('rule', rule);
+}
+
+/** @type {boolean} Whether the push-to-talk key is held down. */
+let pttPressed = false;
+
+/**
+ * Let the background page know the push-to-talk state changed.
+ *
+ * A press while we're reconnecting would unmute late, so drop it, but always
+ * queue the release so we don't leave the meeting unmuted.
+ *
+ * @param {boolean} pressed Whether the key is held down.
+ */
+function sendPushToTalk(pressed) {
+  if (pttPressed === pressed || (pressed && !connection.port)) {
+    return;
+  }
+  pttPressed = pressed;
+  connection.send('ptt', {pressed});
+}
+
+/**
+ * Callback for key presses to implement push-to-talk.
+ *
+ * @param {!KeyboardEvent} event The key event.
+ */
+function onPushToTalkKey(event) {
+  if (event.code !== pttKey || event.repeat) {
+    return;
+  }
+
+  const pressed = event.type === 'keydown';
+  if (pressed) {
+    // Don't hijack the key while the user is typing (e.g. in the chat), or if
+    // they're using it as part of another shortcut.
+    const target = event.target;
+    if (
+      event.ctrlKey ||
+      event.altKey ||
+      event.metaKey ||
+      target.isContentEditable ||
+      ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)
+    ) {
+      return;
     }
+  } else if (!pttPressed) {
+    return;
   }
+
+  event.preventDefault();
+  event.stopPropagation();
+  sendPushToTalk(pressed);
 }
 
 /**
@@ -356,6 +1451,9 @@ async function init() {
   // Slowly back off so we don't poll forever.
   let pollCount = 0;
 
+  // Search from scratch in case the page was rebuilt.
+  locator.reset();
+
   // Wait for all the UI mic/cam elements to show up.
   while (true) {
     audio = getAudioElement();
@@ -375,12 +1473,13 @@ async function init() {
     await sleep(pollRate);
   }
 
+  applyMeetingRule();
+
   // Send an initial update to the background page of the meeting state.
-  connection.send('update', {
-    title: document.title,
-    audioMuted: audio.dataset.isMuted === 'true',
-    videoMuted: video.dataset.isMuted === 'true',
-  });
+  connection.send(
+    'update',
+    Object.assign({title: document.title}, getMeetingState()),
+  );
 
   // When reiniting, clean up previous observer.
   if (observer) {
@@ -424,6 +1523,11 @@ async function init() {
   observer = new MutationObserver(onMutations);
   observer.observe(aState, {attributes: true});
   observer.observe(vState, {attributes: true});
+  // The hand button only exists once joined.
+  const hand = getHandElement();
+  if (hand) {
+    observer.observe(hand, {attributes: true});
+  }
 }
 
 /**
@@ -469,11 +1573,16 @@ async function meetingLifeCycle() {
     nodeReject = reject;
   });
 
-  connection.send('joined');
+  joinTime = Date.now();
+  connection.send('joined', {time: joinTime});
 
   // The buttons get recreated, so rebind them.
   await init();
 
+  watchRoster(true);
+  watchTalkingWhileMuted(true);
+  watchChat(true);
+
   // Wait for the user to leave the meeting.
   const endObserver = new MutationObserver((mutations, observer) => {
     if (!getNode()) {
@@ -503,8 +1612,12 @@ async function meetingLifeCycle() {
  */
 function initSettings(settings) {
   debugEnabled = !!settings['debug'];
-  defaultMuteAudio = !!settings['default-mute-audio'];
-  defaultMuteVideo = !!settings['default-mute-video'];
+  defaultMuteAudio = settings['default-mute-audio'] ? true : null;
+  defaultMuteVideo = settings['default-mute-video'] ? true : null;
+  meetingRules = settings['meeting-rules'] ?? [];
+  if (settings['ptt-enabled']) {
+    pttKey = settings['ptt-key'] || 'Backquote';
+  }
 }
 
 // If we crash horribly, log it at least.
@@ -512,6 +1625,12 @@ window.addEventListener('error', (e) => {
   log('error', 'unhandled error', e.error.stack);
 });
 
+// Push-to-talk key handling.  Use the capture phase so Meet can't eat them.
+document.addEventListener('keydown', onPushToTalkKey, true);
+document.addEventListener('keyup', onPushToTalkKey, true);
+// If we lose focus while the key is held, we'll never see it released.
+window.addEventListener('blur', () => sendPushToTalk(false));
+
 // Initial page startup: get user prefs, then kick off the lifecycle.
 chrome.storage.sync.get(null, (settings) => {
   initSettings(settings);
@@ -527,6 +1646,10 @@ chrome.storage.sync.get(null, (settings) => {
       if (observer) {
         observer.disconnect();
       }
+      stopCaptions();
+      watchRoster(false);
+      watchTalkingWhileMuted(false);
+      watchChat(false);
       connection.disconnect();
     });
 });
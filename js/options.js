@@ -12,14 +12,60 @@ import * as logging from './logging.js';
 /** @const {!Array<string>} The prefs we bind to storage & UI. */
 const allKeys = [
   'action-behavior',
+  'audible-mute',
+  'audible-sites',
+  'audible-sites-mode',
+  'audible-unmute',
+  'badge-text',
+  'auto-end-time',
+  'auto-leave-time',
+  'auto-remind',
+  'auto-video-off',
   'autofocus',
+  'chat-badge',
+  'chat-notify',
+  'confirm-leave',
   'debug',
+  'external-allowlist',
+  'icon-overlays',
+  'icon-theme',
+  'idle-delay',
+  'idle-mute',
+  'idle-mute-video',
+  'idle-restore',
   'default-mute-audio',
   'default-mute-video',
+  'native-enabled',
+  'ptt-enabled',
+  'ptt-global',
+  'ptt-key',
+  'state-notify',
+  'state-notify-on',
+  'talking-notify',
+  'target-policy',
 ];
 /** @type {!Map<string, !Node>} Map between user pref & UI element. */
 const elements = new Map();
 
+/** @type {!Array<!Object>} The user's per-meeting rules. */
+let meetingRules = [];
+
+/**
+ * @const {!Array<!Object>} The columns in the rules table.  Fields with
+ *     options are dropdowns, the rest are inputs of the specified type.
+ */
+const ruleFields = [
+  {key: 'type', options: {code: 'Code', title: 'Title regex'}},
+  {key: 'match', type: 'text', placeholder: 'abc-defg-hij'},
+  {key: 'audio', options: {'': 'Default', 'mute': 'Mute', 'unmute': 'Unmute'}},
+  {key: 'video', options: {'': 'Default', 'mute': 'Mute', 'unmute': 'Unmute'}},
+  {key: 'autofocus', options: {'': 'Default', 'on': 'On', 'off': 'Off'}},
+  {key: 'prefer', type: 'checkbox'},
+  {key: 'videoOffAfter', type: 'number', placeholder: 'min'},
+  {key: 'endAt', type: 'time'},
+  {key: 'leaveAt', type: 'time'},
+];
+
 /**
  * Helper to briefly display a short message to the user.
  *
@@ -49,7 +95,7 @@ function banner(msg, timeout = 3000) {
 function save() {
   const settings = {};
   elements.forEach((e, key) => {
-    if (e.checked !== undefined) {
+    if (e.type === 'checkbox') {
       settings[key] = e.checked;
     } else {
       settings[key] = e.value;
@@ -58,6 +104,105 @@ function save() {
   chrome.storage.sync.set(settings, () => banner('Saved!'));
 }
 
+/**
+ * Save the per-meeting rules.
+ */
+function saveRules() {
+  chrome.storage.sync.set({'meeting-rules': meetingRules}, () =>
+    banner('Saved!'),
+  );
+}
+
+/**
+ * Callback when the user changes a field in the rules table.
+ *
+ * @param {!Event} event The user change.
+ */
+function ruleOnChange(event) {
+  const e = event.currentTarget;
+  const rule = meetingRules[parseInt(e.dataset.index, 10)];
+  rule[e.dataset.key] = e.type === 'checkbox' ? e.checked : e.value;
+  saveRules();
+}
+
+/**
+ * Callback when the user removes a rule.
+ *
+ * @param {!Event} event The user click.
+ */
+function ruleRemoveOnClick(event) {
+  const e = event.currentTarget;
+  meetingRules.splice(parseInt(e.dataset.index, 10), 1);
+  saveRules();
+  renderRules();
+}
+
+/**
+ * Callback when the user adds a rule.
+ */
+function ruleAddOnClick() {
+  const rule = {};
+  ruleFields.forEach(({key, type, options}) => {
+    if (options) {
+      rule[key] = Object.keys(options)[0];
+    } else {
+      rule[key] = type === 'checkbox' ? false : '';
+    }
+  });
+  meetingRules.push(rule);
+  saveRules();
+  renderRules();
+}
+
+/**
+ * Refresh the rules table.
+ */
+function renderRules() {
+  const tbody = document.getElementById('meeting-rules')?.tBodies[0];
+  if (!tbody) {
+    return;
+  }
+  tbody.replaceChildren();
+
+  meetingRules.forEach((rule, index) => {
+    const row = tbody.insertRow();
+
+    ruleFields.forEach(({key, type, options, placeholder}) => {
+      let e;
+      if (options) {
+        e = document.createElement('select');
+        for (const [value, text] of Object.entries(options)) {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          e.appendChild(option);
+        }
+        e.value = rule[key] ?? '';
+      } else {
+        e = document.createElement('input');
+        e.type = type;
+        if (type === 'checkbox') {
+          e.checked = !!rule[key];
+        } else {
+          e.value = rule[key] ?? '';
+          e.placeholder = placeholder ?? '';
+        }
+      }
+      e.dataset.index = index;
+      e.dataset.key = key;
+      e.addEventListener('change', ruleOnChange);
+      row.insertCell().appendChild(e);
+    });
+
+    const remove = document.createElement('button');
+    remove.textContent = '✖';
+    remove.title = 'Remove rule';
+    remove.dataset.index = index;
+    remove.onclick = ruleRemoveOnClick;
+    row.insertCell().appendChild(remove);
+  });
+}
+
 /**
  * Invoked when storage is fetched.
  *
@@ -70,13 +215,23 @@ function initSettings(settings) {
   logging.getLog();
 
   for (const [key, setting] of Object.entries(settings)) {
+    if (key === 'meeting-rules') {
+      meetingRules = setting;
+      renderRules();
+      continue;
+    }
+    // Managed via the popup.
+    if (key === 'meeting-aliases') {
+      continue;
+    }
+
     const e = elements.get(key);
     if (!e) {
       logging.warn(`Unknown setting '${key}'`);
       continue;
     }
 
-    if (e.checked !== undefined) {
+    if (e.type === 'checkbox') {
       e.checked = setting;
     } else {
       e.value = setting;
@@ -98,6 +253,85 @@ function shortcutsOnClick(event) {
   chrome.tabs.update({url: 'chrome://extensions/shortcuts'});
 }
 
+/**
+ * Callback when the user presses a key in the push-to-talk key field.
+ *
+ * Record the key itself rather than letting it type into the field.
+ *
+ * @param {!KeyboardEvent} event The key press.
+ */
+function pttKeyOnKeyDown(event) {
+  event.preventDefault();
+  event.currentTarget.value = event.code;
+  save();
+}
+
+/**
+ * Callback when the user toggles push-to-talk on all pages.
+ *
+ * This needs access to all pages, so request it while we have a user gesture.
+ * If the user declines, turn the option back off.
+ *
+ * @param {!Event} event The user click.
+ */
+function pttGlobalOnChange(event) {
+  const e = event.currentTarget;
+  if (!e.checked) {
+    return;
+  }
+
+  chrome.permissions.request({origins: ['<all_urls>']}, (granted) => {
+    if (!granted) {
+      e.checked = false;
+      save();
+    }
+  });
+}
+
+/**
+ * Callback when the user toggles muting when other tabs play audio.
+ *
+ * Matching the sites needs the tab addresses, so request access while we have
+ * a user gesture.  If the user declines, turn the option back off.
+ *
+ * @param {!Event} event The user click.
+ */
+function audibleMuteOnChange(event) {
+  const e = event.currentTarget;
+  if (!e.checked) {
+    return;
+  }
+
+  chrome.permissions.request({permissions: ['tabs']}, (granted) => {
+    if (!granted) {
+      e.checked = false;
+      save();
+    }
+  });
+}
+
+/**
+ * Callback when the user toggles the native host connection.
+ *
+ * This needs an optional permission, so request it while we have a user
+ * gesture.  If the user declines, turn the option back off.
+ *
+ * @param {!Event} event The user click.
+ */
+function nativeEnabledOnChange(event) {
+  const e = event.currentTarget;
+  if (!e.checked) {
+    return;
+  }
+
+  chrome.permissions.request({permissions: ['nativeMessaging']}, (granted) => {
+    if (!granted) {
+      e.checked = false;
+      save();
+    }
+  });
+}
+
 /**
  * Callback when the user clicks the 'export logs' link.
  *
@@ -108,6 +342,76 @@ function onLogClick() {
   logging.getLog();
 }
 
+/**
+ * Refresh the list of transcripts the user can download.
+ *
+ * @param {!Array<!Object>} transcripts Metadata about available transcripts.
+ */
+function updateTranscripts(transcripts) {
+  const select = document.getElementById('transcripts');
+  const selected = select.value;
+  select.replaceChildren();
+  transcripts.forEach(({id, title, start, lines}) => {
+    const option = document.createElement('option');
+    option.value = id;
+    const when = new Date(start).toLocaleString();
+    option.textContent = `${title} (${when}; ${lines} lines)`;
+    select.appendChild(option);
+  });
+  if (selected) {
+    select.value = selected;
+  }
+  transcriptOnChange();
+}
+
+/**
+ * Callback when the user picks a different transcript.
+ *
+ * Fetch it in all the formats so the download links are ready.
+ */
+function transcriptOnChange() {
+  const select = document.getElementById('transcripts');
+  if (select.value === '') {
+    return;
+  }
+  const id = parseInt(select.value, 10);
+  postMessage('get-transcript', {id, format: 'txt'});
+  postMessage('get-transcript', {id, format: 'vtt'});
+}
+
+/**
+ * Refresh the list of attendance logs the user can download.
+ *
+ * @param {!Array<!Object>} attendances Metadata about available logs.
+ */
+function updateAttendances(attendances) {
+  const select = document.getElementById('attendances');
+  const selected = select.value;
+  select.replaceChildren();
+  attendances.forEach(({id, title, start, events}) => {
+    const option = document.createElement('option');
+    option.value = id;
+    const when = new Date(start).toLocaleString();
+    option.textContent = `${title} (${when}; ${events} events)`;
+    select.appendChild(option);
+  });
+  if (selected) {
+    select.value = selected;
+  }
+  attendanceOnChange();
+}
+
+/**
+ * Callback when the user picks a different attendance log.
+ */
+function attendanceOnChange() {
+  const select = document.getElementById('attendances');
+  if (select.value === '') {
+    return;
+  }
+  postMessage('get-attendance', {id: parseInt(select.value, 10)});
+}
+
 /**
  * Callback when the background page sends us a message.
  *
@@ -128,6 +432,25 @@ function onMessage(message) {
       logLink.href = URL.createObjectURL(new Blob([message.log]));
       break;
     }
+
+    case 'list-transcripts':
+      updateTranscripts(message.transcripts);
+      break;
+
+    case 'list-attendance':
+      updateAttendances(message.attendances);
+      break;
+
+    case 'get-attendance':
+    case 'get-transcript': {
+      const link = document.getElementById(`${command}-${message.format}`);
+      if (link.href.startsWith('blob:')) {
+        URL.revokeObjectURL(link.href);
+      }
+      link.href = URL.createObjectURL(new Blob([message.text]));
+      link.download = `${message.title}.${message.format}`;
+      break;
+    }
   }
 }
 
@@ -141,11 +464,32 @@ function init() {
     e.addEventListener('change', save);
   });
 
+  const pttKey = elements.get('ptt-key');
+  pttKey.onkeydown = pttKeyOnKeyDown;
+  const pttGlobal = elements.get('ptt-global');
+  pttGlobal.addEventListener('change', pttGlobalOnChange);
+  const audibleMute = elements.get('audible-mute');
+  audibleMute.addEventListener('change', audibleMuteOnChange);
+  const nativeEnabled = elements.get('native-enabled');
+  nativeEnabled.addEventListener('change', nativeEnabledOnChange);
+
+  const ruleAdd = document.getElementById('meeting-rules-add');
+  ruleAdd.onclick = ruleAddOnClick;
+  renderRules();
+
   const shortcutsLink = document.getElementById('shortcuts');
   shortcutsLink.onclick = shortcutsOnClick;
 
   const onLogLink = document.getElementById('log-download');
   onLogLink.onclick = onLogClick;
+
+  const transcriptSelect = document.getElementById('transcripts');
+  transcriptSelect.onchange = transcriptOnChange;
+  postMessage('list-transcripts');
+
+  const attendanceSelect = document.getElementById('attendances');
+  attendanceSelect.onchange = attendanceOnChange;
+  postMessage('list-attendance');
 }
 
 /**
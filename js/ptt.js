@@ -0,0 +1,103 @@
+// Copyright 2021 The Chromium OS Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+/**
+ * @fileoverview Content script injected into all pages for push-to-talk.
+ *
+ * This is only registered when the user opts in as it runs everywhere.  The
+ * Google Meet pages handle the key themselves in inject.js.
+ */
+
+// NB: Cannot use import in injected pages :(.
+
+'use strict';
+
+/** @type {?string} The key (KeyboardEvent.code) to hold for push-to-talk. */
+let pttKey;
+
+/** @type {boolean} Whether the push-to-talk key is held down. */
+let pttPressed = false;
+
+/** @type {?Port} Connection to the background page. */
+let pttPort = null;
+
+/**
+ * Let the background page know the push-to-talk state changed.
+ *
+ * We connect lazily as most pages will never see the key pressed.
+ *
+ * @param {boolean} pressed Whether the key is held down.
+ */
+function sendPushToTalk(pressed) {
+  if (pttPressed === pressed) {
+    return;
+  }
+  pttPressed = pressed;
+
+  if (!pttPort) {
+    pttPort = chrome.runtime.connect({name: 'ptt'});
+    pttPort.onDisconnect.addListener(() => {
+      pttPort = null;
+    });
+  }
+  pttPort.postMessage({command: 'ptt', pressed});
+}
+
+/**
+ * Callback for key presses to implement push-to-talk.
+ *
+ * @param {!KeyboardEvent} event The key event.
+ */
+function onPushToTalkKey(event) {
+  if (event.code !== pttKey || event.repeat) {
+    return;
+  }
+
+  const pressed = event.type === 'keydown';
+  if (pressed) {
+    // Don't hijack the key while the user is typing, or if they're using it as
+    // part of another shortcut.
+    const target = event.target;
+    if (
+      event.ctrlKey ||
+      event.altKey ||
+      event.metaKey ||
+      target.isContentEditable ||
+      ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)
+    ) {
+      return;
+    }
+  } else if (!pttPressed) {
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+  sendPushToTalk(pressed);
+}
+
+/**
+ * Invoked when storage is fetched.
+ *
+ * @see https://developer.chrome.com/extensions/storage#get
+ * @param {!Object} settings All the user settings that exist.
+ * @private
+ */
+function initSettings(settings) {
+  if (settings['ptt-enabled'] && settings['ptt-global']) {
+    pttKey = settings['ptt-key'] || 'Backquote';
+  } else {
+    pttKey = null;
+  }
+}
+
+document.addEventListener('keydown', onPushToTalkKey, true);
+document.addEventListener('keyup', onPushToTalkKey, true);
+// If we lose focus while the key is held, we'll never see it released.
+window.addEventListener('blur', () => sendPushToTalk(false));
+
+chrome.storage.sync.get(null, initSettings);
+chrome.storage.sync.onChanged.addListener(() => {
+  chrome.storage.sync.get(null, initSettings);
+});
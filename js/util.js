@@ -0,0 +1,31 @@
+// Copyright 2021 The Chromium OS Authors. All rights reserved.
+// Use of this source code is governed by a BSD-style license that can be
+// found in the LICENSE file.
+
+/**
+ * @fileoverview Common helpers shared by the background & the pages.
+ */
+
+/**
+ * Helper to format a duration for people.
+ *
+ * @param {number} msec The duration in milliseconds.
+ * @return {string} The duration as H:MM:SS.
+ */
+export function formatDuration(msec) {
+  const secs = Math.max(0, Math.round(msec / 1000));
+  const h = Math.floor(secs / 3600);
+  const m = `${Math.floor(secs / 60) % 60}`.padStart(2, '0');
+  const s = `${secs % 60}`.padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+/**
+ * Helper to quote a CSV field.
+ *
+ * @param {string} field The field to quote.
+ * @return {string} The quoted field.
+ */
+export function csvQuote(field) {
+  return `"${String(field).replace(/"/g, '""')}"`;
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env python3
+# Copyright 2021 The Chromium OS Authors. All rights reserved.
+# Use of this source code is governed by a BSD-style license that can be
+# found in the LICENSE file.
+
+"""Reference native messaging host for GOAT Meet Manager.
+
+Chrome starts this when the extension connects.  Every time the meeting state
+changes, the executable $XDG_CONFIG_HOME/goat-meet-manager/on-state (if it
+exists) is run with the state in the environment, e.g.:
+  GMM_STATE=muted GMM_SIZE=1 GMM_NUM_ACTIVE=1 GMM_NUM_AUDIO_MUTED=1 ...
+This can be used to drive busy/on-air lights.
+
+Commands can be sent back to the extension by writing lines to the UNIX socket
+$XDG_RUNTIME_DIR/goat-meet-manager.sock, e.g. from a USB mute button daemon:
+  echo toggle | socat - UNIX-CONNECT:$XDG_RUNTIME_DIR/goat-meet-manager.sock
+Lines are a command (toggle, mute, unmute, focus) optionally followed by the
+devices (audio, video).  The default is audio only.
+"""
+
+import json
+import os
+from pathlib import Path
+import re
+import socket
+import struct
+import subprocess
+import sys
+import threading
+
+
+CONFIG_DIR = (
+    Path(os.environ.get('XDG_CONFIG_HOME', Path.home() / '.config'))
+    / 'goat-meet-manager'
+)
+STATE_HOOK = CONFIG_DIR / 'on-state'
+SOCKET_PATH = (
+    Path(os.environ.get('XDG_RUNTIME_DIR', '/tmp'))
+    / 'goat-meet-manager.sock'
+)
+COMMANDS = {'toggle', 'mute', 'unmute', 'focus'}
+DEVICES = {'audio', 'video'}
+
+_write_lock = threading.Lock()
+
+
+def read_message(stream):
+    """Read a single message from the extension (None at EOF)."""
+    header = stream.read(4)
+    if len(header) < 4:
+        return None
+    (length,) = struct.unpack('=I', header)
+    return json.loads(stream.read(length))
+
+
+def write_message(stream, message):
+    """Send a single message to the extension."""
+    data = json.dumps(message).encode('utf-8')
+    with _write_lock:
+        stream.write(struct.pack('=I', len(data)))
+        stream.write(data)
+        stream.flush()
+
+
+def run_state_hook(message):
+    """Pass the new state to the user's hook (if any)."""
+    if not os.access(STATE_HOOK, os.X_OK):
+        return
+    env = dict(os.environ)
+    for key, value in message.items():
+        name = re.sub(r'([A-Z])', r'_\1', key).upper()
+        env[f'GMM_{name}'] = str(value)
+    # Never let the hook write to stdout as that's our channel to Chrome.
+    subprocess.run(
+        [str(STATE_HOOK)],
+        env=env,
+        stdin=subprocess.DEVNULL,
+        stdout=sys.stderr.fileno(),
+        check=False,
+    )
+
+
+def parse_command(line):
+    """Turn a line like 'mute audio video' into a message."""
+    args = line.split()
+    if not args or args[0] not in COMMANDS:
+        raise ValueError(f'unknown command: {line!r}')
+    devices = set(args[1:])
+    if devices - DEVICES:
+        raise ValueError(f'unknown devices: {" ".join(devices - DEVICES)}')
+    return {
+        'command': args[0],
+        'audio': 'audio' in devices,
+        'video': 'video' in devices,
+    }
+
+
+def serve_socket(output):
+    """Forward commands from the UNIX socket to the extension."""
+    if SOCKET_PATH.is_socket():
+        SOCKET_PATH.unlink()
+    server = socket.socket(socket.AF_UNIX, socket.SOCK_STREAM)
+    server.bind(str(SOCKET_PATH))
+    SOCKET_PATH.chmod(0o600)
+    server.listen()
+
+    while True:
+        conn, _ = server.accept()
+        with conn, conn.makefile('rw') as stream:
+            for line in stream:
+                try:
+                    write_message(output, parse_command(line))
+                    stream.write('ok\n')
+                except ValueError as e:
+                    stream.write(f'error: {e}\n')
+                stream.flush()
+
+
+def main(_argv):
+    """The main func!"""
+    stdin = sys.stdin.buffer
+    stdout = sys.stdout.buffer
+
+    thread = threading.Thread(target=serve_socket, args=(stdout,), daemon=True)
+    thread.start()
+
+    try:
+        while True:
+            message = read_message(stdin)
+            if message is None:
+                break
+            if message.get('event') == 'state':
+                run_state_hook(message)
+    finally:
+        if SOCKET_PATH.is_socket():
+            SOCKET_PATH.unlink()
+
+
+if __name__ == '__main__':
+    sys.exit(main(sys.argv[1:]))
@@ -0,0 +1,81 @@
+#!/usr/bin/env python3
+# Copyright 2021 The Chromium OS Authors. All rights reserved.
+# Use of this source code is governed by a BSD-style license that can be
+# found in the LICENSE file.
+
+"""Stub native messaging host for testing GOAT Meet Manager.
+
+Install it in place of gmm_host.py.  Every message from the extension is logged
+to $TMPDIR/gmm-stub-host.log.  Once the first state arrives, it sends a few log
+commands to show that messages make it back to the extension.  It never touches
+the meetings themselves, so it's safe to run while in real calls.
+"""
+
+import json
+import os
+from pathlib import Path
+import struct
+import sys
+import tempfile
+import threading
+import time
+
+
+LOG_PATH = Path(tempfile.gettempdir()) / 'gmm-stub-host.log'
+
+_write_lock = threading.Lock()
+
+
+def read_message(stream):
+    """Read a single message from the extension (None at EOF)."""
+    header = stream.read(4)
+    if len(header) < 4:
+        return None
+    (length,) = struct.unpack('=I', header)
+    return json.loads(stream.read(length))
+
+
+def write_message(stream, message):
+    """Send a single message to the extension."""
+    data = json.dumps(message).encode('utf-8')
+    with _write_lock:
+        stream.write(struct.pack('=I', len(data)))
+        stream.write(data)
+        stream.flush()
+
+
+def exercise(output):
+    """Send some harmless commands to the extension."""
+    write_message(output, {'command': 'log', 'text': 'hello from stub host'})
+    for i in range(1, 4):
+        time.sleep(2)
+        write_message(output, {'command': 'log', 'text': f'ping {i}'})
+
+
+def main(argv):
+    """The main func!"""
+    stdin = sys.stdin.buffer
+    stdout = sys.stdout.buffer
+
+    with LOG_PATH.open('a', encoding='utf-8') as log:
+        log.write(f'started: pid {os.getpid()} args {argv}\n')
+        log.flush()
+
+        thread = None
+        while True:
+            message = read_message(stdin)
+            if message is None:
+                break
+            log.write(f'{time.strftime("%T")} {json.dumps(message)}\n')
+            log.flush()
+            if thread is None and message.get('event') == 'state':
+                thread = threading.Thread(
+                    target=exercise, args=(stdout,), daemon=True
+                )
+                thread.start()
+
+        log.write('exiting\n')
+
+
+if __name__ == '__main__':
+    sys.exit(main(sys.argv[1:]))